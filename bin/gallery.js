@@ -8,6 +8,22 @@ const sharp = require('sharp');
 const net = require('net');
 const open = require('open').default;
 const { spawn, fork } = require('child_process');
+const {
+    THUMBNAIL_SIZES,
+    THUMBNAIL_FORMATS,
+    thumbnailFileName,
+    animatedPreviewFileName,
+    writeThumbnails,
+    thumbnailRetryTime,
+    isAnimatedImage,
+    canDecodeImage,
+    isHevcImage,
+    findStaleThumbnails
+} = require('../thumbnails');
+const { ThumbnailPool } = require('../thumbnail-pool');
+const GalleryIndex = require('../gallery-index');
+const { detectVideoTools, probeVideo } = require('../video');
+const { isImage, isScannedDirectory, isGalleryMedia } = require('../media-files');
 
 const program = new Command();
 
@@ -18,10 +34,6 @@ let PORT = 3000;
 const PACKAGE_DIR = path.dirname(__dirname);
 const PUBLIC_DIR = path.join(PACKAGE_DIR, 'public');
 
-// Supported media extensions
-const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.bmp', '.webp', '.tiff', '.svg'];
-const VIDEO_EXTENSIONS = ['.mp4', '.mov', '.avi', '.mkv', '.webm', '.ogg', '.m4v', '.3gp', '.wmv', '.flv'];
-
 // Global scanning state
 let scanningState = {
     isScanning: false,
@@ -33,23 +45,6 @@ let scanningState = {
 
 let sseClients = new Set();
 
-// Check if file is an image
-function isImage(filename) {
-    const ext = path.extname(filename).toLowerCase();
-    return IMAGE_EXTENSIONS.includes(ext);
-}
-
-// Check if file is a video
-function isVideo(filename) {
-    const ext = path.extname(filename).toLowerCase();
-    return VIDEO_EXTENSIONS.includes(ext);
-}
-
-// Check if file is media (image or video)
-function isMedia(filename) {
-    return isImage(filename) || isVideo(filename);
-}
-
 // Check if port is available
 function checkPort(port) {
     return new Promise((resolve) => {
@@ -90,7 +85,7 @@ function broadcastProgress() {
     });
 }
 
-// Scan directory recursively for images
+// Scan directory recursively for media, listing the same files as the server (see media-files.js)
 async function scanDirectory(dir, SCAN_DIR, THUMBNAILS_DIR, isRoot = false) {
     const images = [];
     
@@ -112,12 +107,11 @@ async function scanDirectory(dir, SCAN_DIR, THUMBNAILS_DIR, isRoot = false) {
             const fullPath = path.join(dir, item.name);
             
             if (item.isDirectory()) {
-                // Skip hidden directories and node_modules
-                if (!item.name.startsWith('.') && item.name !== 'node_modules') {
+                if (isScannedDirectory(item.name)) {
                     const subImages = await scanDirectory(fullPath, SCAN_DIR, THUMBNAILS_DIR, false);
                     images.push(...subImages);
                 }
-            } else if (item.isFile() && isMedia(item.name)) {
+            } else if (item.isFile() && isGalleryMedia(fullPath)) {
                 const stats = await fs.stat(fullPath);
                 images.push({
                     name: item.name,
@@ -153,10 +147,12 @@ async function scanDirectory(dir, SCAN_DIR, THUMBNAILS_DIR, isRoot = false) {
 async function generateImageThumbnail(imagePath, thumbnailPath) {
     try {
         await sharp(imagePath)
+            .rotate()
             .resize(300, 300, { 
                 fit: 'inside',
                 withoutEnlargement: true
             })
+            .toColourspace('srgb')
             .jpeg({ quality: 80 })
             .toFile(thumbnailPath);
         return true;
@@ -219,11 +215,12 @@ async function getThumbnail(media, THUMBNAILS_DIR) {
 }
 
 // Launch server as background process
-async function launchBackgroundServer(scanDir, port, openBrowser = true) {
+async function launchBackgroundServer(scanDir, port, openBrowser = true, options = {}) {
     const config = {
         scanDir,
         port,
         openBrowser,
+        hls: !!options.hls,
         packageDir: PACKAGE_DIR
     };
     
@@ -396,6 +393,109 @@ async function deleteGalleryFiles(dir) {
     }
 }
 
+// Size tiers of a media file that are missing in at least one format
+function missingThumbnailSizes(media, sizes, thumbnailFiles) {
+    return sizes.filter(size => THUMBNAIL_FORMATS.some(format =>
+        !thumbnailFiles.has(thumbnailFileName(media, size, format))
+    ));
+}
+
+// Record the outcome for a media file in the gallery index, as the server's background queue
+// does: the smallest JPEG, and the thumbnail job as done once all size tiers were written, or
+// a failed attempt and when the server should retry it
+function recordThumbnailJob(galleryIndex, media, sizes, error = null) {
+    try {
+        if (error) {
+            const job = galleryIndex.getThumbnailJob(media.relativePath);
+            const attempts = (job ? job.attempts : 0) + 1;
+            galleryIndex.failThumbnailJob(media.relativePath, error.message, thumbnailRetryTime(media, attempts));
+            return;
+        }
+        if (sizes.includes(THUMBNAIL_SIZES[0])) {
+            galleryIndex.setThumbnail(media.relativePath, {
+                fileName: thumbnailFileName(media, THUMBNAIL_SIZES[0], 'jpeg'),
+                sourceSize: media.size,
+                sourceModified: media.modified
+            });
+        }
+        if (sizes.length === THUMBNAIL_SIZES.length) {
+            galleryIndex.completeThumbnailJob(media.relativePath);
+        }
+    } catch (indexError) {
+        console.warn(`Failed to record thumbnail job for ${media.relativePath}:`, indexError.message);
+    }
+}
+
+// Animated GIF and WebP files among the media files. Files sharp can't read are left
+// out; their thumbnails fail with the reason.
+async function findAnimatedImages(media) {
+    const animated = new Set();
+    for (const item of media) {
+        if (item.type !== 'image') continue;
+        try {
+            if (await isAnimatedImage(item.path)) animated.add(item);
+        } catch {
+            // Not readable
+        }
+    }
+    return animated;
+}
+
+// Parse the --sizes option: a comma-separated subset of the configured size tiers
+function parseThumbnailSizes(value) {
+    const sizes = [...new Set(value.split(',').map(size => size.trim()).filter(Boolean).map(Number))];
+    const invalid = sizes.filter(size => !THUMBNAIL_SIZES.includes(size));
+    if (sizes.length === 0 || invalid.length > 0) {
+        throw new Error(`--sizes must be a comma-separated list of: ${THUMBNAIL_SIZES.join(', ')}`);
+    }
+    return sizes.sort((a, b) => a - b);
+}
+
+// Format seconds as e.g. "42s", "3m 05s" or "1h 02m"
+function formatDuration(seconds) {
+    seconds = Math.max(0, Math.round(seconds));
+    const pad = value => String(value).padStart(2, '0');
+    if (seconds < 60) return `${seconds}s`;
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m ${pad(seconds % 60)}s`;
+    return `${Math.floor(seconds / 3600)}h ${pad(Math.floor(seconds % 3600 / 60))}m`;
+}
+
+// Terminal progress bar with an ETA. Redraws one line on a TTY and prints
+// a line every 10% otherwise (e.g. when the output is piped into a log).
+function createProgressBar(total) {
+    const startedAt = Date.now();
+    const width = 30;
+    let done = 0;
+    let lastDecile = 0;
+    
+    function render() {
+        const ratio = total > 0 ? done / total : 1;
+        const elapsed = (Date.now() - startedAt) / 1000;
+        const eta = done > 0 ? formatDuration(elapsed / done * (total - done)) : '--';
+        const filled = Math.round(ratio * width);
+        return `   [${'█'.repeat(filled)}${'░'.repeat(width - filled)}] ${Math.round(ratio * 100)}% ${done}/${total}  ETA ${eta}`;
+    }
+    
+    return {
+        tick() {
+            done++;
+            if (process.stdout.isTTY) {
+                process.stdout.write(`\r${render()}`);
+            } else {
+                const decile = Math.floor(done / total * 10);
+                if (decile > lastDecile || done === total) {
+                    lastDecile = decile;
+                    console.log(render());
+                }
+            }
+        },
+        done() {
+            if (process.stdout.isTTY) process.stdout.write('\n');
+            return (Date.now() - startedAt) / 1000;
+        }
+    };
+}
+
 // No longer needed - CLI doesn't run servers directly
 
 // CLI Commands
@@ -410,6 +510,7 @@ program
     .option('-d, --directory <path>', 'Directory to scan', process.cwd())
     .option('-p, --port <number>', 'Port to run server on', '3000')
     .option('--no-open', 'Don\'t open browser automatically')
+    .option('--hls', 'Serve videos as adaptive HLS streams (requires ffmpeg)')
     .action(async (options) => {
         const scanDir = path.resolve(options.directory);
         const port = parseInt(options.port);
@@ -430,7 +531,7 @@ program
                 return;
             }
             
-            const result = await launchBackgroundServer(scanDir, port, openBrowser);
+            const result = await launchBackgroundServer(scanDir, port, openBrowser, { hls: options.hls });
             console.log(`✅ Gallery server starting in background (PID: ${result.pid})`);
             console.log(`🌐 Server will be available at: http://localhost:${port}`);
             console.log('💡 Use "gallery down" to stop the server');
@@ -477,6 +578,140 @@ program
         }
     });
 
+program
+    .command('thumbs')
+    .description('Generate thumbnails for a directory without starting a server')
+    .option('-d, --directory <path>', 'Directory to scan', process.cwd())
+    .option('-s, --sizes <list>', `Comma-separated size tiers to generate (default: ${THUMBNAIL_SIZES.join(',')})`)
+    .option('-c, --concurrency <number>', 'Number of worker threads (default: CPU cores minus one)')
+    .option('-f, --force', 'Regenerate thumbnails that already exist')
+    .option('--check', 'Report missing and stale thumbnails without writing anything')
+    .action(async (options) => {
+        const scanDir = path.resolve(options.directory);
+        const thumbnailsDir = path.join(process.cwd(), '.gallery-cache', 'thumbnails');
+        
+        try {
+            const sizes = options.sizes ? parseThumbnailSizes(options.sizes) : THUMBNAIL_SIZES;
+            const concurrency = options.concurrency === undefined ? null : parseInt(options.concurrency, 10);
+            if (concurrency !== null && !(concurrency > 0)) {
+                throw new Error('--concurrency must be a positive number');
+            }
+            
+            console.log(`Scanning directory: ${scanDir}`);
+            const media = await scanDirectory(scanDir, scanDir, thumbnailsDir, true);
+            const thumbnailFiles = new Set(await fs.readdir(thumbnailsDir).catch(() => []));
+            const animated = await findAnimatedImages(media);
+            const missingAnimatedPreview = item => animated.has(item) && !thumbnailFiles.has(animatedPreviewFileName(item));
+            const incomplete = media.filter(item =>
+                missingThumbnailSizes(item, sizes, thumbnailFiles).length > 0 || missingAnimatedPreview(item)
+            );
+            
+            if (options.check) {
+                const staleFiles = findStaleThumbnails([...thumbnailFiles], media);
+                
+                console.log(`\n📊 Thumbnail check (sizes ${sizes.join(', ')}):`);
+                console.log(`   Media files: ${media.length}`);
+                console.log(`   Complete: ${media.length - incomplete.length}`);
+                console.log(`   Missing or outdated: ${incomplete.length}`);
+                console.log(`   Stale files: ${staleFiles.length}`);
+                
+                for (const item of incomplete) {
+                    const missing = missingThumbnailSizes(item, sizes, thumbnailFiles);
+                    if (missingAnimatedPreview(item)) missing.push('animated preview');
+                    console.log(`   ❌ ${item.relativePath} (missing ${missing.join(', ')})`);
+                }
+                for (const fileName of staleFiles) {
+                    console.log(`   🗑️  ${fileName}`);
+                }
+                if (staleFiles.length > 0) {
+                    console.log('\n💡 Remove stale files with: gallery cleanup');
+                }
+                if (incomplete.length > 0) {
+                    console.log('💡 Generate missing thumbnails with: gallery thumbs');
+                }
+                process.exit(incomplete.length > 0 || staleFiles.length > 0 ? 1 : 0);
+            }
+            
+            let pending = options.force ? media : incomplete;
+            const videoTools = await detectVideoTools();
+            if (!videoTools.ffmpeg) {
+                // Without ffmpeg the server draws placeholders, which it replaces once ffmpeg is installed
+                const videos = pending.filter(item => item.type === 'video').length;
+                if (videos > 0) {
+                    console.warn(`⚠️  ffmpeg not found - skipping ${videos} videos (install ffmpeg or set FFMPEG_PATH)`);
+                }
+                pending = pending.filter(item => item.type === 'image');
+            }
+            const unsupported = pending.filter(item => item.type === 'image' && !canDecodeImage(item.path));
+            if (unsupported.length > 0) {
+                const formats = [...new Set(unsupported.map(item => path.extname(item.name).toLowerCase()))];
+                console.warn(`⚠️  libvips can't read ${formats.join(', ')} - skipping ${unsupported.length} images`);
+                pending = pending.filter(item => !unsupported.includes(item));
+            }
+            
+            if (pending.length === 0) {
+                console.log(`\n✅ All ${media.length} media files already have thumbnails`);
+                process.exit(0);
+            }
+            
+            await fs.mkdir(thumbnailsDir, { recursive: true });
+            // Thumbnail state is shared with the server through the gallery index
+            const galleryIndex = new GalleryIndex(path.join(process.cwd(), '.gallery-cache', 'gallery.db'));
+            galleryIndex.queueThumbnailJobs(pending);
+            const pool = new ThumbnailPool({ workers: concurrency });
+            console.log(`\n🖼️  Generating thumbnails for ${pending.length} of ${media.length} media files (sizes ${sizes.join(', ')}, ${pool.size} worker${pool.size === 1 ? '' : 's'})`);
+            
+            const progress = createProgressBar(pending.length);
+            const failures = [];
+            let next = 0;
+            
+            // Keep every worker busy, reading one source per file and writing its files in turn.
+            // The tiny preview the gallery shows while tiers are generated is written too.
+            async function generateNext() {
+                while (next < pending.length) {
+                    const item = pending[next++];
+                    try {
+                        if (item.type === 'video' && videoTools.ffprobe) {
+                            item.video = await probeVideo(item.path);
+                        }
+                        await writeThumbnails(pool, item, {
+                            thumbnailsDir,
+                            sizes,
+                            tinyPreview: true,
+                            animated: animated.has(item),
+                            force: options.force
+                        });
+                        recordThumbnailJob(galleryIndex, item, sizes);
+                    } catch (error) {
+                        failures.push({ item, error });
+                        recordThumbnailJob(galleryIndex, item, sizes, error);
+                    }
+                    progress.tick();
+                }
+            }
+            
+            await Promise.all(Array.from({ length: pool.size }, generateNext));
+            const elapsed = progress.done();
+            pool.close();
+            galleryIndex.close();
+            
+            console.log(`\n${failures.length > 0 ? '⚠️ ' : '✅'} Thumbnails generated in ${formatDuration(elapsed)}:`);
+            console.log(`   Generated: ${pending.length - failures.length}`);
+            console.log(`   Failed: ${failures.length}`);
+            for (const { item, error } of failures) {
+                console.log(`   ❌ ${item.relativePath}: ${error.message}`);
+            }
+            const undecodable = failures.filter(({ item }) => item.type === 'image' && isHevcImage(item.path));
+            if (undecodable.length > 0) {
+                console.warn(`\n⚠️  libvips can't decode ${undecodable.length} HEIC/HEIF images - they need a libvips built with libde265 (see Supported Image Formats in the README)`);
+            }
+            process.exit(failures.length > 0 ? 1 : 0);
+        } catch (error) {
+            console.error('Failed to generate thumbnails:', error.message);
+            process.exit(1);
+        }
+    });
+
 program
     .command('down')
     .description('Stop all running gallery servers')
@@ -564,34 +799,18 @@ program
             
             console.log('🧹 Cleaning up orphaned thumbnails...');
             
+            // Thumbnail names are keyed to the current version of their file, so thumbnails
+            // of deleted or changed files are the ones no scanned file has a key for
+            const media = await scanDirectory(process.cwd(), process.cwd(), thumbnailsDir, true);
             const thumbnailFiles = await fs.readdir(thumbnailsDir);
+            const staleFiles = findStaleThumbnails(thumbnailFiles, media);
+            const totalThumbnails = thumbnailFiles.length;
             let cleanedCount = 0;
-            let totalThumbnails = 0;
             
-            for (const thumbnailFile of thumbnailFiles) {
-                if (!thumbnailFile.endsWith('.jpg')) continue;
-                totalThumbnails++;
-                
-                // Decode the original file path from base64 filename
-                const base64Path = thumbnailFile.replace('.jpg', '');
-                try {
-                    const originalPath = Buffer.from(base64Path, 'base64').toString('utf8');
-                    const fullOriginalPath = path.join(process.cwd(), originalPath);
-                    
-                    // Check if original file still exists
-                    try {
-                        await fs.access(fullOriginalPath);
-                    } catch {
-                        // Original file doesn't exist, remove thumbnail
-                        const thumbnailPath = path.join(thumbnailsDir, thumbnailFile);
-                        await fs.unlink(thumbnailPath);
-                        console.log(`🗑️  Removed: ${thumbnailFile}`);
-                        cleanedCount++;
-                    }
-                } catch (error) {
-                    // Invalid base64 or other error, skip
-                    console.warn(`⚠️  Could not decode thumbnail: ${thumbnailFile}`);
-                }
+            for (const thumbnailFile of staleFiles) {
+                await fs.rm(path.join(thumbnailsDir, thumbnailFile), { recursive: true, force: true });
+                console.log(`🗑️  Removed: ${thumbnailFile}`);
+                cleanedCount++;
             }
             
             console.log(`\n✅ Cleanup complete:`);
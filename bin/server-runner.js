@@ -5,25 +5,72 @@
 
 const express = require('express');
 const fs = require('fs').promises;
+const { createReadStream } = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const sharp = require('sharp');
 const net = require('net');
+const { once } = require('events');
 const open = require('open').default;
 const chokidar = require('chokidar');
+const MetadataManager = require('../metadata');
+const GalleryIndex = require('../gallery-index');
+const { extractExif } = require('../exif');
+const {
+    detectVideoTools,
+    probeVideo,
+    extractVideoFrame,
+    createSpriteSheet,
+    spriteVtt,
+    playbackMode,
+    streamFragmentedMp4,
+    createHlsStream
+} = require('../video');
+const { parseSearchQuery, matchesSearch } = require('../search');
+const { parseTransformOptions, TransformCache } = require('../transform');
+const { isRawFile, rawPairKey, stackRawPairs } = require('../raw');
+const { isImage, isVideo, isMedia, isScannedDirectory, isGalleryMedia } = require('../media-files');
+const {
+    THUMBNAIL_OUTPUT,
+    THUMBNAIL_SIZES,
+    THUMBNAIL_FORMATS,
+    thumbnailKey,
+    thumbnailFileName,
+    thumbnailTierJob,
+    tinyPreviewFileName,
+    tinyPreviewJob,
+    animatedPreviewFileName,
+    animatedPreviewJob,
+    readThumbnailSource,
+    writeThumbnails,
+    thumbnailRetryTime,
+    renderVideoPlaceholder,
+    findStaleThumbnails
+} = require('../thumbnails');
+const { ThumbnailPool } = require('../thumbnail-pool');
+const { parseGalleryView, parsePageOptions, groupGalleryItems, paginateGroups } = require('../grouping');
 
 // Configuration from command line arguments
 const config = JSON.parse(process.argv[2]);
 const { scanDir, port, openBrowser, packageDir } = config;
+const HLS_ENABLED = !!config.hls; // gallery up --hls
 
 // Setup paths - everything goes in .gallery-cache in the working directory
 const GALLERY_CACHE_DIR = path.join(process.cwd(), '.gallery-cache');
 const METADATA_DIR = path.join(GALLERY_CACHE_DIR, 'metadata');
 const THUMBNAILS_DIR = path.join(GALLERY_CACHE_DIR, 'thumbnails');
+const SPRITES_DIR = path.join(GALLERY_CACHE_DIR, 'sprites');
+const STREAMS_DIR = path.join(GALLERY_CACHE_DIR, 'streams');
+const TRANSFORMS_DIR = path.join(GALLERY_CACHE_DIR, 'transforms');
+const TRANSFORM_CACHE_SIZE = 512 * 1024 * 1024; // Bytes of /api/transform results kept on disk
 const HTML_FILE = path.join(GALLERY_CACHE_DIR, 'index.html');
+const INDEX_FILE = path.join(GALLERY_CACHE_DIR, 'gallery.db');
 
-// Supported media extensions
-const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.bmp', '.webp', '.tiff', '.svg'];
-const VIDEO_EXTENSIONS = ['.mp4', '.mov', '.avi', '.mkv', '.webm', '.ogg', '.m4v', '.3gp', '.wmv', '.flv'];
+// Persistent index and metadata store, opened in setupServer()
+let galleryIndex = null;
+let metadataManager = null;
+// LRU cache of /api/transform renditions
+const transformCache = new TransformCache(TRANSFORMS_DIR, { maxSize: TRANSFORM_CACHE_SIZE });
 
 // Global scanning state
 let scanningState = {
@@ -47,10 +94,28 @@ let galleryCache = {
 
 let fileWatcher = null;
 const CACHE_DURATION = 30000; // 30 seconds cache
+const EXIF_CONCURRENCY = 4; // Images read in parallel when extracting EXIF
+const EXIF_BROADCAST_INTERVAL = 1000; // ms between exif_ready events while reading EXIF in the background
+const VIDEO_PROBE_CONCURRENCY = 2; // Videos probed in parallel with ffprobe
+
+const MAX_VIDEO_CONVERSIONS = 2; // ffmpeg remux/transcode streams running at once
+
+// ffmpeg/ffprobe availability, detected at startup
+let videoTools = { ffmpeg: false, ffprobe: false };
+// ffmpeg processes currently streaming converted videos
+const activeConversions = new Set();
+
+// hls.js is served to browsers without native HLS support
+let hlsPlayerScript = null;
+try {
+    hlsPlayerScript = require.resolve('hls.js/dist/hls.min.js');
+} catch {
+    // Not installed; only browsers with native HLS (Safari) can use the streams
+}
 
 // Performance configuration for thumbnail generation
 const THUMBNAIL_CONFIG = {
-    // Adaptive batch sizes based on gallery size
+    // Items processed at a time, based on the number of thumbnails to generate
     batchSize: {
         large: 10,    // For 500+ images (3.3x faster)
         medium: 6,    // For 100-500 images (2x faster)
@@ -63,48 +128,38 @@ const THUMBNAIL_CONFIG = {
         large: 50,    // Minimal delay for large galleries
         small: 100    // Slightly longer for small galleries
     },
-    // Thumbnail quality settings
-    quality: {
-        jpeg: 80,     // JPEG quality (1-100)
-        size: 300     // Max dimension in pixels
+    // Quality, size tiers and formats (shared with `gallery thumbs`, see thumbnails.js)
+    ...THUMBNAIL_OUTPUT,
+    // Worker threads that decode and encode thumbnails (see thumbnail-pool.js)
+    pool: {
+        workers: null,        // null: one per CPU core, leaving one for the HTTP server
+        memoryLimitMb: 1024,  // libvips cache and worker heaps, lowers the worker count when small
+        niceness: 10,         // Lower scheduling priority than the server (0-19, Linux)
+        jobTimeout: 60000     // ms before a job is abandoned (e.g. a corrupt file that hangs the decoder)
     }
 };
 
-// Helper functions
-function isImage(filename) {
-    const ext = path.extname(filename).toLowerCase();
-    return IMAGE_EXTENSIONS.includes(ext);
-}
-
-function isVideo(filename) {
-    const ext = path.extname(filename).toLowerCase();
-    return VIDEO_EXTENSIONS.includes(ext);
-}
+// Workers are started with the first thumbnail job
+const thumbnailPool = new ThumbnailPool(THUMBNAIL_CONFIG.pool);
 
-function isMedia(filename) {
-    return isImage(filename) || isVideo(filename);
-}
+// Video sprite sheets for hover-scrub and seek-bar previews
+const SPRITE_CONFIG = {
+    frames: 20,       // Evenly spaced frames per video
+    columns: 5,       // Frames per sheet row
+    width: 160,       // Frame width in pixels
+    quality: 70       // JPEG quality (1-100)
+};
 
-// Check if a file is likely a generated thumbnail
-function isLikelyThumbnail(filePath, filename) {
-    // Skip files in .gallery-cache directories
-    if (filePath.includes('.gallery-cache')) {
-        return true;
-    }
-    
-    // Skip files that match thumbnail naming pattern (base64 encoded + .jpg)
-    if (filename.match(/^[A-Za-z0-9+/]+=*\.jpg$/)) {
-        return true;
-    }
+// Resolve a requested relative path inside the scan directory.
+// Returns null when the path escapes the scan directory (path traversal).
+function resolveScanPath(requestedPath) {
+    const resolvedPath = path.resolve(path.join(scanDir, requestedPath));
+    const resolvedScanDir = path.resolve(scanDir);
     
-    // Skip common thumbnail directory patterns
-    const thumbnailDirs = ['thumbnails', 'thumb', 'thumbs', '.thumbnails'];
-    const dirParts = path.dirname(filePath).toLowerCase().split(path.sep);
-    if (thumbnailDirs.some(thumbDir => dirParts.includes(thumbDir))) {
-        return true;
+    if (resolvedPath !== resolvedScanDir && !resolvedPath.startsWith(resolvedScanDir + path.sep)) {
+        return null;
     }
-    
-    return false;
+    return resolvedPath;
 }
 
 function checkPort(port) {
@@ -158,11 +213,11 @@ async function scanDirectory(dir, isRoot = false) {
             const fullPath = path.join(dir, item.name);
             
             if (item.isDirectory()) {
-                if (!item.name.startsWith('.') && item.name !== 'node_modules' && item.name !== '.gallery-cache') {
+                if (isScannedDirectory(item.name)) {
                     const subImages = await scanDirectory(fullPath, false);
                     images.push(...subImages);
                 }
-            } else if (item.isFile() && isMedia(item.name) && !isLikelyThumbnail(fullPath, item.name)) {
+            } else if (item.isFile() && isGalleryMedia(fullPath)) {
                 const stats = await fs.stat(fullPath);
                 images.push({
                     name: item.name,
@@ -193,77 +248,150 @@ async function scanDirectory(dir, isRoot = false) {
     return images;
 }
 
-async function generateImageThumbnail(imagePath, thumbnailPath) {
+// Thumbnail files are named <key>_<size>.<extension>, tiny previews <key>_tiny.jpg (see thumbnails.js)
+function thumbnailUrl(media, size, format) {
+    return `/static/thumbnails/${thumbnailFileName(media, size, format)}`;
+}
+
+// Play-icon placeholder, used for videos only when ffmpeg is not installed
+async function videoPlaceholder() {
+    const placeholder = await renderVideoPlaceholder();
+    
+    // Remember that placeholders exist so they are replaced once ffmpeg is available
     try {
-        await sharp(imagePath)
-            .resize(300, 300, { 
-                fit: 'inside',
-                withoutEnlargement: true
-            })
-            .jpeg({ quality: 80 })
-            .toFile(thumbnailPath);
-        return true;
+        if (galleryIndex.getSetting('videoFrameThumbnails') !== '0') {
+            galleryIndex.setSetting('videoFrameThumbnails', '0');
+        }
     } catch (error) {
-        console.warn(`Failed to generate thumbnail for ${imagePath}:`, error.message);
-        return false;
+        console.warn('Failed to update video thumbnail state:', error.message);
     }
+    
+    return placeholder;
 }
 
-async function generateThumbnail(mediaPath, thumbnailPath, mediaType) {
-    if (mediaType === 'image') {
-        return await generateImageThumbnail(mediaPath, thumbnailPath);
-    } else if (mediaType === 'video') {
-        try {
-            await sharp({
-                create: {
-                    width: 300,
-                    height: 200,
-                    channels: 3,
-                    background: { r: 52, g: 73, b: 94 }
-                }
-            })
-            .composite([{
-                input: Buffer.from(`<svg width="100" height="100" xmlns="http://www.w3.org/2000/svg">
-                    <circle cx="50" cy="50" r="30" fill="white" opacity="0.8"/>
-                    <polygon points="40,35 40,65 65,50" fill="#2c3e50"/>
-                </svg>`),
-                left: 100,
-                top: 50
-            }])
-            .jpeg({ quality: 80 })
-            .toFile(thumbnailPath);
-            return true;
-        } catch (error) {
-            console.warn(`Failed to generate video thumbnail for ${mediaPath}:`, error.message);
-            return false;
-        }
+// Pick a representative frame of a video (JPEG buffer, or null if none could be decoded)
+function getVideoFrame(media) {
+    return extractVideoFrame(media.path, media.video ? media.video.duration : undefined);
+}
+
+// Sharp input for the thumbnails of a media item (see readThumbnailSource in thumbnails.js),
+// or a placeholder for videos without ffmpeg
+async function thumbnailSource(media, frame) {
+    if (media.type === 'video' && !videoTools.ffmpeg) {
+        return videoPlaceholder();
     }
-    return false;
+    return readThumbnailSource(media, frame);
 }
 
-async function getThumbnail(media) {
-    const thumbnailName = `${Buffer.from(media.relativePath).toString('base64')}.jpg`;
-    const thumbnailPath = path.join(THUMBNAILS_DIR, thumbnailName);
-    
+// Write one size tier of a thumbnail in every format on a pool worker, decoding the source once
+async function writeThumbnailTier(media, source, size) {
+    await thumbnailPool.run(thumbnailTierJob(media, source, size, THUMBNAILS_DIR));
+}
+
+// Check if a size tier exists in every format without generating it
+async function hasThumbnailTier(media, size) {
+    try {
+        await Promise.all(THUMBNAIL_FORMATS.map(format =>
+            fs.access(path.join(THUMBNAILS_DIR, thumbnailFileName(media, size, format)))
+        ));
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// Animated GIF and WebP files, going by the frame count read with their EXIF information
+function isAnimated(media) {
+    return Boolean(media.exif && media.exif.frames > 1);
+}
+
+async function hasAnimatedPreview(media) {
     try {
-        await fs.access(thumbnailPath);
-        return `/static/thumbnails/${thumbnailName}`;
+        await fs.access(path.join(THUMBNAILS_DIR, animatedPreviewFileName(media)));
+        return true;
     } catch {
-        if (await generateThumbnail(media.path, thumbnailPath, media.type)) {
-            return `/static/thumbnails/${thumbnailName}`;
+        return false;
+    }
+}
+
+// Size tiers of a media item found in a listing of THUMBNAILS_DIR, smallest first
+function listedThumbnailSizes(media, thumbnailFiles) {
+    return THUMBNAIL_SIZES.filter(size => THUMBNAIL_FORMATS.every(format =>
+        thumbnailFiles.has(thumbnailFileName(media, size, format))
+    ));
+}
+
+// Gallery item fields for the generated size tiers: thumbnail is the smallest JPEG,
+// thumbnailSrcset holds one srcset per format and thumbnailReady is set once all tiers
+// exist. Animated images also need their animated preview (animatedPreview) to be ready.
+function thumbnailFields(media, sizes, animatedPreview = false) {
+    const fields = { thumbnail: null, thumbnailSrcset: null, thumbnailReady: false };
+    
+    if (sizes.length > 0) {
+        const thumbnailSrcset = {};
+        for (const format of THUMBNAIL_FORMATS) {
+            thumbnailSrcset[format] = sizes.map(size => `${thumbnailUrl(media, size, format)} ${size}w`).join(', ');
         }
-        return null;
+        
+        fields.thumbnail = thumbnailUrl(media, sizes[0], 'jpeg');
+        fields.thumbnailSrcset = thumbnailSrcset;
+        fields.thumbnailReady = sizes.length === THUMBNAIL_SIZES.length;
+    }
+    
+    if (isAnimated(media)) {
+        fields.animated = true;
+        fields.animatedPreview = animatedPreview ? `/static/thumbnails/${animatedPreviewFileName(media)}` : null;
+        fields.thumbnailReady = fields.thumbnailReady && animatedPreview;
     }
+    return fields;
 }
 
-// Check if thumbnail exists without generating it
-async function hasThumbnail(media) {
-    const thumbnailName = `${Buffer.from(media.relativePath).toString('base64')}.jpg`;
-    const thumbnailPath = path.join(THUMBNAILS_DIR, thumbnailName);
+// Every thumbnail file name of a media item version (all tiers and formats, the tiny
+// preview and the animated preview)
+function thumbnailFileNames(media) {
+    const fileNames = [tinyPreviewFileName(media), animatedPreviewFileName(media)];
+    for (const size of THUMBNAIL_SIZES) {
+        for (const format of THUMBNAIL_FORMATS) {
+            fileNames.push(thumbnailFileName(media, size, format));
+        }
+    }
+    return fileNames;
+}
+
+async function removeThumbnailFiles(media) {
+    let removed = 0;
+    for (const fileName of thumbnailFileNames(media)) {
+        try {
+            await fs.unlink(path.join(THUMBNAILS_DIR, fileName));
+            removed++;
+        } catch {
+            // Not generated
+        }
+    }
+    return removed;
+}
+
+// Keep the thumbnails of a renamed or moved file: its key changes with the path
+async function renameThumbnailFiles(from, to) {
+    const targetNames = thumbnailFileNames(to);
+    for (const [index, fileName] of thumbnailFileNames(from).entries()) {
+        await fs.rename(path.join(THUMBNAILS_DIR, fileName), path.join(THUMBNAILS_DIR, targetNames[index])).catch(() => {});
+    }
+}
+
+// Sprite sheets and tracks are named after thumbnailKey() like thumbnails, so a replaced
+// video gets a new sprite and names stay short and filesystem-safe
+function spriteFileName(media, extension) {
+    return `${thumbnailKey(media)}.${extension}`;
+}
+
+// URL of the WebVTT thumbnails track of a video, if its sprite sheet exists
+async function hasSprite(media) {
+    const spriteName = spriteFileName(media, 'vtt');
     
     try {
-        await fs.access(thumbnailPath);
-        return `/static/thumbnails/${thumbnailName}`;
+        await fs.access(path.join(SPRITES_DIR, spriteName));
+        return `/static/sprites/${spriteName}`;
     } catch {
         return null;
     }
@@ -313,80 +441,85 @@ function broadcastThumbnailProgress(media, status, progress = 0) {
     broadcastToClients(updateData);
 }
 
-// Fast thumbnail generation without tiny previews (for large galleries)
-async function generateThumbnailFast(media) {
-    const thumbnailName = `${Buffer.from(media.relativePath).toString('base64')}.jpg`;
-    const thumbnailPath = path.join(THUMBNAILS_DIR, thumbnailName);
-    
+// Record a generated thumbnail and the source file state it was built from
+function recordThumbnail(media, thumbnailName) {
     try {
-        // Check if thumbnail already exists
-        await fs.access(thumbnailPath);
-        return `/static/thumbnails/${thumbnailName}`;
-    } catch {
-        // Generate thumbnail without progress broadcasts
-        const size = THUMBNAIL_CONFIG.quality.size;
-        const quality = THUMBNAIL_CONFIG.quality.jpeg;
-        
-        if (media.type === 'image') {
-            await sharp(media.path)
-                .resize(size, size, { 
-                    fit: 'inside',
-                    withoutEnlargement: true
-                })
-                .jpeg({ quality })
-                .toFile(thumbnailPath);
-        } else {
-            // Create video placeholder
-            await sharp({
-                create: {
-                    width: size,
-                    height: Math.round(size * 0.67),
-                    channels: 3,
-                    background: { r: 52, g: 73, b: 94 }
-                }
-            })
-            .composite([{
-                input: Buffer.from(`<svg width="100" height="100" xmlns="http://www.w3.org/2000/svg">
-                    <circle cx="50" cy="50" r="30" fill="white" opacity="0.8"/>
-                    <polygon points="40,35 40,65 65,50" fill="#2c3e50"/>
-                </svg>`),
-                left: Math.round(size / 3),
-                top: Math.round(size / 6)
-            }])
-            .jpeg({ quality })
-            .toFile(thumbnailPath);
+        galleryIndex.setThumbnail(media.relativePath, {
+            fileName: thumbnailName,
+            sourceSize: media.size,
+            sourceModified: media.modified
+        });
+    } catch (error) {
+        console.warn(`Failed to record thumbnail for ${media.relativePath}:`, error.message);
+    }
+}
+
+// Size tiers of a media item that exist in every format, smallest first
+async function generatedThumbnailSizes(media) {
+    const sizes = [];
+    for (const size of THUMBNAIL_SIZES) {
+        if (await hasThumbnailTier(media, size)) sizes.push(size);
+    }
+    return sizes;
+}
+
+// Tell clients which thumbnail sizes of a media item are available now
+async function broadcastThumbnailReady(media) {
+    const fields = thumbnailFields(media, await generatedThumbnailSizes(media), await hasAnimatedPreview(media));
+    updateCachedThumbnail(media.relativePath, fields);
+    
+    broadcastToClients({
+        type: 'thumbnail_ready',
+        media: {
+            ...media,
+            ...fields,
+            url: `/image/${encodeURIComponent(media.relativePath)}`
+        }
+    });
+}
+
+// Write the animated preview of an animated image if it is missing. Returns whether it was written.
+async function generateAnimatedPreview(media) {
+    if (!isAnimated(media) || await hasAnimatedPreview(media)) return false;
+    
+    await thumbnailPool.run(animatedPreviewJob(media, THUMBNAILS_DIR));
+    return true;
+}
+
+// Fast thumbnail generation without tiny previews (for large galleries). Generates
+// the given size tiers that are missing and returns the URL of the smallest JPEG.
+async function generateThumbnailFast(media, sizes = THUMBNAIL_SIZES) {
+    // Generate without progress broadcasts; videos are decoded once for all tiers.
+    // Animated images get their animated preview along with the largest tier.
+    const generated = await writeThumbnails(thumbnailPool, media, {
+        thumbnailsDir: THUMBNAILS_DIR,
+        sizes,
+        animated: isAnimated(media) && sizes.includes(THUMBNAIL_SIZES[THUMBNAIL_SIZES.length - 1]),
+        source: () => thumbnailSource(media)
+    });
+    
+    if (generated) {
+        if (sizes.includes(THUMBNAIL_SIZES[0])) {
+            recordThumbnail(media, thumbnailFileName(media, THUMBNAIL_SIZES[0], 'jpeg'));
         }
-        
-        const thumbnailUrl = `/static/thumbnails/${thumbnailName}`;
-        
         // Minimal broadcast for completion (batched updates will show progress)
-        broadcastToClients({
-            type: 'thumbnail_ready',
-            media: {
-                ...media,
-                thumbnail: thumbnailUrl,
-                url: `/image/${encodeURIComponent(media.relativePath)}`
-            }
-        });
-        
-        return thumbnailUrl;
+        await broadcastThumbnailReady(media);
     }
+    
+    return thumbnailUrl(media, THUMBNAIL_SIZES[0], 'jpeg');
 }
 
-// Generate tiny preview (64x64) for instant feedback - kept for small galleries
-async function generateTinyPreview(media) {
-    const previewName = `${Buffer.from(media.relativePath).toString('base64')}_tiny.jpg`;
+// Generate tiny preview (64x64) for instant feedback - kept for small galleries.
+// frame is an already extracted video frame, if any.
+async function generateTinyPreview(media, frame) {
+    const previewName = tinyPreviewFileName(media);
     const previewPath = path.join(THUMBNAILS_DIR, previewName);
     
     try {
-        if (media.type === 'image') {
-            await sharp(media.path)
-                .resize(64, 64, { 
-                    fit: 'cover',
-                    position: 'center'
-                })
-                .jpeg({ quality: 60 })
-                .toFile(previewPath);
+        if (media.type === 'image' || frame) {
+            // Someone is looking at this item, so it goes ahead of queued thumbnails
+            const source = media.type === 'image' ? await thumbnailSource(media) : frame;
+            await thumbnailPool.run(tinyPreviewJob(media, source, THUMBNAILS_DIR), { priority: true });
         } else {
             // Simple tiny video placeholder
             await sharp({
@@ -417,91 +550,58 @@ async function generateTinyPreview(media) {
 
 // Generate thumbnail with progress updates
 async function generateThumbnailWithProgress(media) {
-    const thumbnailName = `${Buffer.from(media.relativePath).toString('base64')}.jpg`;
-    const thumbnailPath = path.join(THUMBNAILS_DIR, thumbnailName);
+    const smallestUrl = thumbnailUrl(media, THUMBNAIL_SIZES[0], 'jpeg');
+    const existingSizes = await generatedThumbnailSizes(media);
+    
+    // Check if all size tiers already exist
+    if (existingSizes.length === THUMBNAIL_SIZES.length) {
+        return smallestUrl;
+    }
+    
+    // Thumbnail is missing, generate it with progress
+    broadcastThumbnailProgress(media, 'starting', 0);
+    
+    // Decode a video frame once; it feeds both the tiny preview and the thumbnail
+    const frame = media.type === 'video' && videoTools.ffmpeg ? await getVideoFrame(media) : undefined;
+    
+    // First, generate a tiny preview for instant feedback
+    const tinyPreview = await generateTinyPreview(media, frame);
+    if (tinyPreview) {
+        const previewData = {
+            type: 'tiny_preview_ready',
+            media: {
+                ...media,
+                tinyPreview,
+                url: `/image/${encodeURIComponent(media.relativePath)}`
+            }
+        };
+        
+        broadcastToClients(previewData);
+    }
     
     try {
-        // Check if thumbnail already exists
-        await fs.access(thumbnailPath);
-        return `/static/thumbnails/${thumbnailName}`;
-    } catch {
-        // Thumbnail doesn't exist, generate it with progress
-        broadcastThumbnailProgress(media, 'starting', 0);
-        
-        // First, generate a tiny preview for instant feedback
-        const tinyPreview = await generateTinyPreview(media);
-        if (tinyPreview) {
-            const previewData = {
-                type: 'tiny_preview_ready',
-                media: {
-                    ...media,
-                    tinyPreview,
-                    url: `/image/${encodeURIComponent(media.relativePath)}`
-                }
-            };
-            
-            broadcastToClients(previewData);
-        }
+        broadcastThumbnailProgress(media, 'processing', 25);
         
-        try {
-            broadcastThumbnailProgress(media, 'processing', 25);
-            
-            if (media.type === 'image') {
-                broadcastThumbnailProgress(media, 'processing', 50);
-                await sharp(media.path)
-                    .resize(300, 300, { 
-                        fit: 'inside',
-                        withoutEnlargement: true
-                    })
-                    .jpeg({ quality: 80 })
-                    .toFile(thumbnailPath);
-                broadcastThumbnailProgress(media, 'processing', 90);
-            } else if (media.type === 'video') {
-                broadcastThumbnailProgress(media, 'processing', 50);
-                // Create video placeholder
-                await sharp({
-                    create: {
-                        width: 300,
-                        height: 200,
-                        channels: 3,
-                        background: { r: 52, g: 73, b: 94 }
-                    }
-                })
-                .composite([{
-                    input: Buffer.from(`<svg width="100" height="100" xmlns="http://www.w3.org/2000/svg">
-                        <circle cx="50" cy="50" r="30" fill="white" opacity="0.8"/>
-                        <polygon points="40,35 40,65 65,50" fill="#2c3e50"/>
-                    </svg>`),
-                    left: 100,
-                    top: 50
-                }])
-                .jpeg({ quality: 80 })
-                .toFile(thumbnailPath);
-                broadcastThumbnailProgress(media, 'processing', 90);
-            }
-            
-            const thumbnailUrl = `/static/thumbnails/${thumbnailName}`;
-            
-            // Broadcast completion with final thumbnail
-            const completionData = {
-                type: 'thumbnail_ready',
-                media: {
-                    ...media,
-                    thumbnail: thumbnailUrl,
-                    url: `/image/${encodeURIComponent(media.relativePath)}`
-                }
-            };
-            
-            broadcastToClients(completionData);
-            
-            broadcastThumbnailProgress(media, 'complete', 100);
-            return thumbnailUrl;
-            
-        } catch (error) {
-            console.warn(`Failed to generate thumbnail for ${media.path}:`, error.message);
-            broadcastThumbnailProgress(media, 'error', 0);
-            return null;
+        const source = await thumbnailSource(media, frame);
+        const missingSizes = THUMBNAIL_SIZES.filter(size => !existingSizes.includes(size));
+        for (const [index, size] of missingSizes.entries()) {
+            await writeThumbnailTier(media, source, size);
+            broadcastThumbnailProgress(media, 'processing', 25 + Math.round(65 * (index + 1) / missingSizes.length));
         }
+        await generateAnimatedPreview(media);
+        
+        recordThumbnail(media, thumbnailFileName(media, THUMBNAIL_SIZES[0], 'jpeg'));
+        
+        // Broadcast completion with final thumbnail
+        await broadcastThumbnailReady(media);
+        
+        broadcastThumbnailProgress(media, 'complete', 100);
+        return smallestUrl;
+        
+    } catch (error) {
+        console.warn(`Failed to generate thumbnail for ${media.path}:`, error.message);
+        broadcastThumbnailProgress(media, 'error', 0);
+        return null;
     }
 }
 
@@ -523,7 +623,278 @@ function invalidateCache(reason = 'File system change') {
     });
 }
 
-// Setup file watching for automatic cache invalidation
+// Watcher events are collected until none arrived for WATCH_BATCH_DELAY and applied
+// together, so the unlink and add of a renamed or moved file land in the same batch and
+// can be paired up. Adds are reported only once a file stopped growing for
+// WATCH_WRITE_STABILITY, so the batch delay has to be longer than that.
+const WATCH_WRITE_STABILITY = 1000;
+const WATCH_BATCH_DELAY = 2000;
+const pendingWatchEvents = new Map(); // relativePath -> 'add' | 'change' | 'unlink'
+let watchBatchTimer = null;
+let watchQueue = Promise.resolve();
+
+function queueWatchEvent(filePath, event) {
+    const relativePath = path.relative(scanDir, filePath);
+    const previous = pendingWatchEvents.get(relativePath);
+    
+    if (previous === 'unlink' && event === 'add') {
+        // Deleted and written again: a replaced file
+        pendingWatchEvents.set(relativePath, 'change');
+    } else if (previous !== 'add' || event === 'unlink') {
+        pendingWatchEvents.set(relativePath, event);
+    }
+    
+    clearTimeout(watchBatchTimer);
+    watchBatchTimer = setTimeout(() => {
+        const events = new Map(pendingWatchEvents);
+        pendingWatchEvents.clear();
+        watchQueue = watchQueue
+            .then(() => applyWatchEvents(events))
+            .catch(error => console.warn('Failed to apply file changes:', error.message));
+    }, WATCH_BATCH_DELAY);
+}
+
+// Media files below a directory, for directories that were moved or copied in
+async function listMediaFiles(dir) {
+    const files = [];
+    for (const entry of await fs.readdir(dir, { withFileTypes: true }).catch(() => [])) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            if (isScannedDirectory(entry.name)) {
+                files.push(...await listMediaFiles(fullPath));
+            }
+        } else if (entry.isFile() && isMedia(entry.name)) {
+            files.push(fullPath);
+        }
+    }
+    return files;
+}
+
+// Scan entry of a single file, or null if it is gone or not gallery media
+async function readMediaFile(relativePath) {
+    const fullPath = path.join(scanDir, relativePath);
+    if (!isGalleryMedia(fullPath)) return null;
+    
+    try {
+        const stats = await fs.stat(fullPath);
+        if (!stats.isFile()) return null;
+        return {
+            name: path.basename(fullPath),
+            path: fullPath,
+            relativePath,
+            directory: path.dirname(relativePath),
+            size: stats.size,
+            modified: stats.mtime.toISOString(),
+            type: isImage(fullPath) ? 'image' : 'video'
+        };
+    } catch {
+        return null;
+    }
+}
+
+function findCachedItem(relativePath) {
+    const items = galleryCache.data.galleries[path.dirname(relativePath)] || [];
+    return items.find(item => item.relativePath === relativePath) || null;
+}
+
+function removeCachedItem(relativePath) {
+    const directory = path.dirname(relativePath);
+    const items = (galleryCache.data.galleries[directory] || []).filter(item => item.relativePath !== relativePath);
+    if (items.length > 0) {
+        galleryCache.data.galleries[directory] = items;
+    } else {
+        delete galleryCache.data.galleries[directory];
+    }
+}
+
+// Forget queued thumbnail and sprite work for a file that changed or went away
+function dropQueuedWork(relativePath) {
+    const keep = media => media.relativePath !== relativePath;
+    const queued = viewportQueue.length + backgroundQueue.length + largerSizesQueue.length;
+    viewportQueue = viewportQueue.filter(keep);
+    backgroundQueue = backgroundQueue.filter(keep);
+    largerSizesQueue = largerSizesQueue.filter(keep);
+    spriteQueue = spriteQueue.filter(keep);
+    thumbnailGenerationState.total -= queued - (viewportQueue.length + backgroundQueue.length + largerSizesQueue.length);
+}
+
+// Delete everything generated from one version of a file
+async function removeGeneratedFiles(item) {
+    dropQueuedWork(item.relativePath);
+    galleryIndex.removeThumbnail(item.relativePath);
+    await removeThumbnailFiles(item);
+    if (item.type === 'video') {
+        removeSprite(item);
+        await fs.rm(hlsDirectory(item.relativePath), { recursive: true, force: true }).catch(() => {});
+    }
+}
+
+// Keys (see rawPairKey in raw.js) of the RAW+JPEG stacks that changes to the given
+// files may affect: those with a RAW file among the changes or already in the gallery
+function rawStackKeys(relativePaths) {
+    const keys = new Set();
+    for (const relativePath of relativePaths) {
+        const key = rawPairKey(relativePath);
+        const items = galleryCache.data.galleries[path.dirname(relativePath)] || [];
+        if (isRawFile(relativePath) || items.some(item => item.raw && rawPairKey(item.relativePath) === key)) {
+            keys.add(key);
+        }
+    }
+    return keys;
+}
+
+// Cached gallery items of the given stacks as clients see them (pairs stacked), by relative path
+function rawStackItems(keys) {
+    const items = new Map();
+    if (keys.size === 0) return items;
+    for (const directoryItems of Object.values(galleryCache.data.galleries)) {
+        for (const item of stackRawPairs(directoryItems.filter(item => keys.has(rawPairKey(item.relativePath))))) {
+            items.set(item.relativePath, item);
+        }
+    }
+    return items;
+}
+
+// Apply a batch of watcher events to the cached gallery and the index, and push
+// item_added / item_removed / item_changed events so clients patch their grid
+async function applyWatchEvents(events) {
+    // Nothing loaded yet (or a full rescan is due): the next request scans anyway
+    if (!galleryCache.data || galleryCache.isStale) return;
+    
+    // Files of RAW+JPEG stacks are announced once the whole batch is applied, as a RAW
+    // joins or leaves the stack of its JPEG
+    const stackKeys = rawStackKeys([...events.keys()]);
+    const stacksBefore = rawStackItems(stackKeys);
+    const announce = relativePath => !stackKeys.has(rawPairKey(relativePath));
+    
+    const removed = [];
+    const updated = []; // { media, previous, renamedFrom }
+    for (const [relativePath, event] of events) {
+        const cached = findCachedItem(relativePath);
+        const media = event === 'unlink' ? null : await readMediaFile(relativePath);
+        
+        if (!media) {
+            if (cached) removed.push(cached);
+        } else if (!cached || cached.size !== media.size || cached.modified !== media.modified) {
+            updated.push({ media, previous: cached, renamedFrom: null });
+        }
+    }
+    
+    // A file that disappeared and a new one with the same type, size and mtime is a rename or move
+    for (const entry of updated) {
+        if (entry.previous) continue;
+        const index = removed.findIndex(item =>
+            item.type === entry.media.type && item.size === entry.media.size && item.modified === entry.media.modified
+        );
+        if (index !== -1) {
+            entry.renamedFrom = removed.splice(index, 1)[0];
+        }
+    }
+    
+    for (const item of removed) {
+        console.log(`🗑️  Removed: ${item.relativePath}`);
+        removeCachedItem(item.relativePath);
+        galleryIndex.removeMedia(item.relativePath);
+        await removeGeneratedFiles(item);
+        if (announce(item.relativePath)) {
+            broadcastToClients({ type: 'item_removed', relativePath: item.relativePath });
+        }
+    }
+    
+    for (const { previous, renamedFrom, media } of updated) {
+        if (previous) {
+            await removeGeneratedFiles(previous);
+        }
+        if (renamedFrom) {
+            console.log(`✏️  Renamed: ${renamedFrom.relativePath} → ${media.relativePath}`);
+            dropQueuedWork(renamedFrom.relativePath);
+            await renameThumbnailFiles(renamedFrom, media);
+            await metadataManager.renameMetadata(renamedFrom.relativePath, media.relativePath);
+            if (renamedFrom.type === 'video') {
+                removeSprite(renamedFrom);
+                await fs.rm(hlsDirectory(renamedFrom.relativePath), { recursive: true, force: true }).catch(() => {});
+            }
+            removeCachedItem(renamedFrom.relativePath);
+            galleryIndex.removeMedia(renamedFrom.relativePath);
+            galleryIndex.removeThumbnail(renamedFrom.relativePath);
+            if (announce(renamedFrom.relativePath)) {
+                broadcastToClients({ type: 'item_removed', relativePath: renamedFrom.relativePath });
+            }
+        }
+    }
+    
+    if (updated.length > 0) {
+        const images = updated.map(entry => entry.media);
+        for (const image of images) {
+            galleryIndex.upsertMedia(image);
+        }
+        // A few files at a time, so their items are complete when they are announced
+        await readExifInfo(attachStoredExif(images));
+        await attachVideoInfo(images);
+        
+        const pendingThumbnails = [];
+        const pendingSprites = [];
+        for (const { media, previous, renamedFrom } of updated) {
+            const thumbnailSizes = await generatedThumbnailSizes(media);
+            const metadata = await metadataManager.loadMetadata(media.relativePath);
+            const item = galleryItemData(media, {
+                thumbnailSizes,
+                animatedPreview: await hasAnimatedPreview(media),
+                metadata: metadata.lastUpdated ? metadata : null,
+                sprite: media.type === 'video' ? await hasSprite(media) : null
+            });
+            if (thumbnailSizes.length > 0) {
+                recordThumbnail(media, thumbnailFileName(media, THUMBNAIL_SIZES[0], 'jpeg'));
+            }
+            
+            removeCachedItem(media.relativePath);
+            if (!galleryCache.data.galleries[media.directory]) {
+                galleryCache.data.galleries[media.directory] = [];
+            }
+            galleryCache.data.galleries[media.directory].push(item);
+            
+            if (previous) {
+                console.log(`📝 Changed: ${media.relativePath}`);
+                if (announce(media.relativePath)) {
+                    broadcastToClients({ type: 'item_changed', item });
+                }
+            } else {
+                if (!renamedFrom) console.log(`➕ Added: ${media.relativePath}`);
+                if (announce(media.relativePath)) {
+                    broadcastToClients({ type: 'item_added', item, renamedFrom: renamedFrom ? renamedFrom.relativePath : null });
+                }
+            }
+            
+            if (!item.thumbnailReady) {
+                pendingThumbnails.push(media);
+            }
+            if (media.type === 'video' && !item.sprite && videoTools.ffmpeg && media.video && media.video.duration) {
+                pendingSprites.push(media);
+            }
+        }
+        
+        if (pendingThumbnails.length > 0) queueThumbnails(pendingThumbnails);
+        if (pendingSprites.length > 0) queueSprites(pendingSprites);
+    }
+    
+    const stacksAfter = rawStackItems(stackKeys);
+    for (const relativePath of stacksBefore.keys()) {
+        if (!stacksAfter.has(relativePath)) {
+            broadcastToClients({ type: 'item_removed', relativePath });
+        }
+    }
+    for (const [relativePath, item] of stacksAfter) {
+        if (stacksBefore.has(relativePath)) {
+            broadcastToClients({ type: 'item_changed', item });
+        } else {
+            broadcastToClients({ type: 'item_added', item, renamedFrom: null });
+        }
+    }
+    
+    galleryCache.data.totalImages = Object.values(galleryCache.data.galleries).reduce((total, items) => total + items.length, 0);
+}
+
+// Watch the scan directory and apply changes to the cached gallery incrementally
 function setupFileWatching() {
     if (fileWatcher) {
         fileWatcher.close();
@@ -538,82 +909,136 @@ function setupFileWatching() {
             '**/.gallery-cache/**'
         ],
         ignoreInitial: true,
+        // Report files being copied once they are complete
+        awaitWriteFinish: {
+            stabilityThreshold: WATCH_WRITE_STABILITY,
+            pollInterval: 100
+        },
         depth: 10 // Reasonable depth limit
     });
     
-    const mediaExtensions = [...IMAGE_EXTENSIONS, ...VIDEO_EXTENSIONS];
-    
     fileWatcher
         .on('add', (filePath) => {
-            if (mediaExtensions.some(ext => filePath.toLowerCase().endsWith(ext))) {
-                invalidateCache(`New file: ${path.basename(filePath)}`);
-            }
+            if (isMedia(filePath)) queueWatchEvent(filePath, 'add');
+        })
+        .on('change', (filePath) => {
+            if (isMedia(filePath)) queueWatchEvent(filePath, 'change');
         })
         .on('unlink', (filePath) => {
-            if (mediaExtensions.some(ext => filePath.toLowerCase().endsWith(ext))) {
-                invalidateCache(`Deleted file: ${path.basename(filePath)}`);
-                // Also remove thumbnail if it exists
-                const relativePath = path.relative(scanDir, filePath);
-                const thumbnailName = `${Buffer.from(relativePath).toString('base64')}.jpg`;
-                const thumbnailPath = path.join(THUMBNAILS_DIR, thumbnailName);
-                fs.unlink(thumbnailPath)
-                    .then(() => console.log(`🗑️  Removed thumbnail for: ${path.basename(filePath)}`))
-                    .catch(() => {}); // Ignore errors if thumbnail doesn't exist
+            if (isMedia(filePath)) queueWatchEvent(filePath, 'unlink');
+        })
+        .on('addDir', async (dirPath) => {
+            // Contents of a directory moved in may not be reported file by file
+            for (const filePath of await listMediaFiles(dirPath)) {
+                queueWatchEvent(filePath, 'add');
+            }
+        })
+        .on('unlinkDir', (dirPath) => {
+            if (!galleryCache.data) return;
+            const prefix = path.relative(scanDir, dirPath) + path.sep;
+            for (const item of Object.values(galleryCache.data.galleries).flat()) {
+                if (item.relativePath.startsWith(prefix)) queueWatchEvent(item.path, 'unlink');
             }
         })
         .on('error', error => console.warn('File watcher error:', error));
 }
 
-// Clean up orphaned thumbnails
-async function cleanupOrphanedThumbnails() {
+// Clean up thumbnails of deleted files, outdated thumbnails of changed files (their
+// key no longer matches) and leftovers of older naming schemes
+async function cleanupOrphanedThumbnails(images) {
     try {
-        const thumbnailFiles = await fs.readdir(THUMBNAILS_DIR);
-        let cleanedCount = 0;
+        const staleFiles = findStaleThumbnails(await fs.readdir(THUMBNAILS_DIR), images);
         
-        for (const thumbnailFile of thumbnailFiles) {
-            if (!thumbnailFile.endsWith('.jpg')) continue;
-            
-            // Decode the original file path from base64 filename
-            const base64Path = thumbnailFile.replace('.jpg', '');
-            try {
-                const originalPath = Buffer.from(base64Path, 'base64').toString('utf8');
-                const fullOriginalPath = path.join(scanDir, originalPath);
-                
-                // Check if original file still exists
-                try {
-                    await fs.access(fullOriginalPath);
-                } catch {
-                    // Original file doesn't exist, remove thumbnail
-                    const thumbnailPath = path.join(THUMBNAILS_DIR, thumbnailFile);
-                    await fs.unlink(thumbnailPath);
-                    console.log(`🧹 Cleaned orphaned thumbnail: ${thumbnailFile}`);
-                    cleanedCount++;
-                }
-            } catch (error) {
-                // Invalid base64 or other error, skip
-                console.warn(`⚠️  Could not decode thumbnail filename: ${thumbnailFile}`);
-            }
+        for (const thumbnailFile of staleFiles) {
+            // Older base64 names containing "/" created subdirectories, hence recursive
+            await fs.rm(path.join(THUMBNAILS_DIR, thumbnailFile), { recursive: true, force: true });
         }
         
-        if (cleanedCount > 0) {
-            console.log(`✅ Cleaned up ${cleanedCount} orphaned thumbnails`);
+        if (staleFiles.length > 0) {
+            console.log(`🧹 Cleaned up ${staleFiles.length} orphaned or outdated thumbnails`);
         }
         
-        return cleanedCount;
+        return staleFiles.length;
     } catch (error) {
         console.warn('Error during thumbnail cleanup:', error.message);
         return 0;
     }
 }
 
-// Get cached or fresh gallery data with progressive loading
-async function getCachedGalleryData() {
-    const now = Date.now();
-    
-    // Return cached data if still valid
-    if (galleryCache.data && 
-        !galleryCache.isStale && 
-        (now - galleryCache.lastScan) < CACHE_DURATION) {
+// Remove sprite sheets and tracks that don't belong to the current version of a
+// scanned video: those of deleted or changed videos, and those named after the base64
+// path by earlier versions (they are generated again under the new name)
+async function cleanupOrphanedSprites(media) {
+    try {
+        const spriteFiles = await fs.readdir(SPRITES_DIR);
+        const currentKeys = new Set(media.filter(item => item.type === 'video').map(thumbnailKey));
+        let cleanedCount = 0;
+        
+        for (const spriteFile of spriteFiles) {
+            const match = spriteFile.match(/^([0-9a-f]{40})\.(jpg|vtt)$/);
+            if (match && currentKeys.has(match[1])) continue;
+            
+            await fs.rm(path.join(SPRITES_DIR, spriteFile), { recursive: true, force: true });
+            cleanedCount++;
+        }
+        
+        if (cleanedCount > 0) {
+            console.log(`🧹 Cleaned up ${cleanedCount} orphaned sprite files`);
+        }
+    } catch (error) {
+        console.warn('Error during sprite cleanup:', error.message);
+    }
+}
+
+// Remove HLS streams of videos that no longer exist and work directories of streams
+// that are not being generated
+async function cleanupOrphanedStreams(media) {
+    try {
+        const streamDirs = await fs.readdir(STREAMS_DIR);
+        const currentKeys = new Set(media.filter(item => item.type === 'video').map(item => hlsStreamKey(item.relativePath)));
+        const generatingKeys = new Set([...hlsJobs.keys()].map(hlsStreamKey));
+        
+        for (const streamDir of streamDirs) {
+            const match = streamDir.match(/^([0-9a-f]{40})(\.tmp)?$/);
+            if (match && (match[2] ? generatingKeys : currentKeys).has(match[1])) continue;
+            
+            await fs.rm(path.join(STREAMS_DIR, streamDir), { recursive: true, force: true });
+            console.log(`🧹 Cleaned orphaned HLS stream: ${streamDir}`);
+        }
+    } catch (error) {
+        console.warn('Error during stream cleanup:', error.message);
+    }
+}
+
+// Gallery item of a scanned media file, as listed by /api/gallery
+function galleryItemData(image, { thumbnailSizes, animatedPreview, metadata, sprite }) {
+    const item = {
+        ...image,
+        ...thumbnailFields(image, thumbnailSizes, animatedPreview),
+        url: `/image/${encodeURIComponent(image.relativePath)}`,
+        metadata: metadata || null,
+        exif: image.exif || null,
+        video: image.video || null,
+        sprite
+    };
+    if (isRawFile(image.name)) {
+        item.raw = true;
+    }
+    if (image.type === 'video') {
+        item.stream = `/stream/${encodeURIComponent(image.relativePath)}`;
+        item.playback = videoTools.ffmpeg ? playbackMode(image.path, image.video) : 'direct';
+    }
+    return item;
+}
+
+// Get cached or fresh gallery data with progressive loading
+async function getCachedGalleryData() {
+    const now = Date.now();
+    
+    // Return cached data if still valid
+    if (galleryCache.data && 
+        !galleryCache.isStale && 
+        (now - galleryCache.lastScan) < CACHE_DURATION) {
         console.log('📋 Using cached gallery data');
         return galleryCache.data;
     }
@@ -621,12 +1046,31 @@ async function getCachedGalleryData() {
     // Scan and cache new data with progressive loading
     console.log('🔍 Scanning for fresh gallery data...');
     
-    // Clean up orphaned thumbnails during fresh scan
-    await cleanupOrphanedThumbnails();
-    
     const images = await scanDirectory(scanDir, true);
+    await cleanupOrphanedSprites(images);
+    await cleanupOrphanedStreams(images);
+    
+    // Thumbnails of earlier versions (named after the base64 path) are removed here and
+    // generated again: they don't record which version of the file they were made from
+    await cleanupOrphanedThumbnails(images);
+    
+    // Persist scan results in the index
+    try {
+        galleryIndex.replaceMedia(images);
+    } catch (error) {
+        console.warn('Failed to update gallery index:', error.message);
+    }
+    
+    await replaceVideoPlaceholders(images);
+    // EXIF of new and changed images is read after the response (see queueExif)
+    const pendingExif = attachStoredExif(images);
+    await attachVideoInfo(images);
+    
+    const allMetadata = await metadataManager.getAllMetadata();
+    const thumbnailFiles = new Set(await fs.readdir(THUMBNAILS_DIR).catch(() => []));
     const galleries = {};
     const pendingThumbnails = [];
+    const pendingSprites = [];
     
     // First pass: Add all images, checking for existing thumbnails
     for (const image of images) {
@@ -634,22 +1078,25 @@ async function getCachedGalleryData() {
             galleries[image.directory] = [];
         }
         
-        // Check if thumbnail already exists (no generation)
-        const existingThumbnail = await hasThumbnail(image);
-        
-        const imageData = {
-            ...image,
-            thumbnail: existingThumbnail,
-            url: `/image/${encodeURIComponent(image.relativePath)}`,
-            thumbnailReady: !!existingThumbnail
-        };
+        // Check which thumbnail sizes already exist (no generation)
+        const existingSprite = image.type === 'video' ? await hasSprite(image) : null;
+        const imageData = galleryItemData(image, {
+            thumbnailSizes: listedThumbnailSizes(image, thumbnailFiles),
+            animatedPreview: thumbnailFiles.has(animatedPreviewFileName(image)),
+            metadata: allMetadata[image.relativePath],
+            sprite: existingSprite
+        });
         
         galleries[image.directory].push(imageData);
         
-        // Queue for thumbnail generation if needed
-        if (!existingThumbnail) {
+        // Queue for thumbnail generation if any size is missing
+        if (!imageData.thumbnailReady) {
             pendingThumbnails.push(image);
         }
+        // Sprite sheets need ffmpeg and the duration from ffprobe
+        if (image.type === 'video' && !existingSprite && videoTools.ffmpeg && image.video && image.video.duration) {
+            pendingSprites.push(image);
+        }
     }
     
     const result = {
@@ -679,13 +1126,402 @@ async function getCachedGalleryData() {
             return a.name.localeCompare(b.name);
         });
         
-        // Don't await this - let it run in background
-        generateThumbnailsInBackground(sortedThumbnails);
+        // Joins a generation that is already running (e.g. jobs resumed at startup)
+        queueThumbnails(sortedThumbnails);
+    }
+    
+    if (pendingSprites.length > 0) {
+        queueSprites(pendingSprites);
+    }
+    
+    if (pendingExif.length > 0) {
+        queueExif(pendingExif);
     }
     
     return result;
 }
 
+// Attach the EXIF/IPTC/XMP information stored in the index to scanned images. Returns
+// the images that are new or changed since then, whose information still has to be read.
+function attachStoredExif(images) {
+    const pending = [];
+    
+    for (const image of images) {
+        if (image.type !== 'image') continue;
+        
+        const stored = galleryIndex.getExif(image.relativePath, image);
+        if (stored === undefined) {
+            pending.push(image);
+        } else {
+            image.exif = stored;
+        }
+    }
+    return pending;
+}
+
+// Read and store the EXIF information of images, EXIF_CONCURRENCY at a time
+async function readExifInfo(images) {
+    for (let i = 0; i < images.length; i += EXIF_CONCURRENCY) {
+        const batch = images.slice(i, i + EXIF_CONCURRENCY);
+        await Promise.all(batch.map(async (image) => {
+            image.exif = await extractExif(image.path);
+            try {
+                galleryIndex.setExif(image.relativePath, image, image.exif);
+            } catch (error) {
+                console.warn(`Failed to store EXIF for ${image.relativePath}:`, error.message);
+            }
+        }));
+    }
+}
+
+// EXIF information of new and changed images found by a scan is read in the background,
+// so the first /api/gallery response of a large archive doesn't wait for every file to
+// be parsed. Until then their items have no exif; clients get it through exif_ready events,
+// the last one with done: true. Capture-date and camera views can reorder when it arrives,
+// so gallery responses say exifPending while reading is going on (see isExifPending).
+let exifQueue = [];
+let isReadingExif = false;
+
+function queueExif(images) {
+    const queued = new Set(exifQueue.map(image => image.relativePath));
+    exifQueue.push(...images.filter(image => !queued.has(image.relativePath)));
+    
+    if (!isReadingExif) {
+        processExifQueue();
+    }
+}
+
+async function processExifQueue() {
+    isReadingExif = true;
+    console.log(`📷 Reading photo metadata from ${exifQueue.length} images...`);
+    
+    let updates = [];
+    let lastBroadcast = Date.now();
+    while (exifQueue.length > 0) {
+        const batch = exifQueue.splice(0, EXIF_CONCURRENCY);
+        await readExifInfo(batch);
+        updates.push(...await applyExifInfo(batch));
+        
+        if (exifQueue.length === 0 || (updates.length > 0 && Date.now() - lastBroadcast >= EXIF_BROADCAST_INTERVAL)) {
+            broadcastToClients({ type: 'exif_ready', items: updates, done: exifQueue.length === 0 });
+            updates = [];
+            lastBroadcast = Date.now();
+        }
+    }
+    
+    isReadingExif = false;
+}
+
+function isExifPending() {
+    return isReadingExif || exifQueue.length > 0;
+}
+
+// Put freshly read EXIF information into the cached gallery items. Returns the
+// { relativePath, exif } updates for clients. Animated images (see isAnimated) are
+// only recognized here, so they get their animated fields and are queued for the preview.
+async function applyExifInfo(images) {
+    const updates = [];
+    const animated = [];
+    
+    for (const image of images) {
+        const items = galleryCache.data ? galleryCache.data.galleries[image.directory] || [] : [];
+        const item = items.find(candidate => candidate.relativePath === image.relativePath);
+        // Gone or changed again since it was queued
+        if (!item || item.size !== image.size || item.modified !== image.modified) continue;
+        
+        item.exif = image.exif;
+        if (isAnimated(image)) {
+            Object.assign(item, thumbnailFields(image, await generatedThumbnailSizes(image), await hasAnimatedPreview(image)));
+            if (!item.thumbnailReady) animated.push(image);
+        }
+        updates.push({ relativePath: image.relativePath, exif: image.exif, animated: item.animated || false });
+    }
+    
+    if (animated.length > 0) queueThumbnails(animated);
+    return updates;
+}
+
+// Attach duration, resolution and codec information to scanned videos, probing
+// only new or changed files. Needs ffprobe; without it videos have no information.
+async function attachVideoInfo(images) {
+    const pending = [];
+    
+    for (const image of images) {
+        if (image.type !== 'video') continue;
+        
+        const stored = galleryIndex.getVideoInfo(image.relativePath, image);
+        if (stored === undefined) {
+            pending.push(image);
+        } else {
+            image.video = stored;
+        }
+    }
+    
+    if (pending.length === 0 || !videoTools.ffprobe) return;
+    
+    console.log(`🎬 Reading video information from ${pending.length} videos...`);
+    scanningState.isScanning = true;
+    scanningState.currentDirectory = 'Reading video information';
+    broadcastProgress();
+    
+    for (let i = 0; i < pending.length; i += VIDEO_PROBE_CONCURRENCY) {
+        const batch = pending.slice(i, i + VIDEO_PROBE_CONCURRENCY);
+        await Promise.all(batch.map(async (image) => {
+            image.video = await probeVideo(image.path);
+            try {
+                galleryIndex.setVideoInfo(image.relativePath, image, image.video);
+            } catch (error) {
+                console.warn(`Failed to store video information for ${image.relativePath}:`, error.message);
+            }
+        }));
+    }
+    
+    scanningState.isScanning = false;
+    scanningState.currentDirectory = 'Complete';
+    broadcastProgress();
+}
+
+// Placeholder thumbnails are written while ffmpeg is missing. Once it is available,
+// delete them so real frames are generated in their place.
+async function replaceVideoPlaceholders(images) {
+    if (!videoTools.ffmpeg || galleryIndex.getSetting('videoFrameThumbnails') === '1') return;
+    
+    let removed = 0;
+    for (const image of images) {
+        if (image.type !== 'video') continue;
+        
+        removed += await removeThumbnailFiles(image);
+        galleryIndex.removeThumbnail(image.relativePath);
+    }
+    
+    if (removed > 0) {
+        console.log(`🎬 ffmpeg found - replacing ${removed} placeholder video thumbnails with real frames`);
+    }
+    galleryIndex.setSetting('videoFrameThumbnails', '1');
+}
+
+// Video information from the index, probing the file now if the scan has not.
+// Returns undefined without ffprobe and null when the file cannot be probed.
+async function loadVideoInfo(filePath, stats) {
+    const relativePath = path.relative(scanDir, filePath);
+    const source = { size: stats.size, modified: stats.mtime.toISOString() };
+    let info = galleryIndex.getVideoInfo(relativePath, source);
+    
+    if (info === undefined && videoTools.ffprobe) {
+        info = await probeVideo(filePath);
+        try {
+            galleryIndex.setVideoInfo(relativePath, source, info);
+        } catch (error) {
+            // Not in the index yet; it is stored on the next scan
+        }
+    }
+    return info;
+}
+
+// Status of the HLS stream of a video: { status: 'ready', playlist } when generated,
+// otherwise queued/generating with progress, or 'none'. start queues generation.
+async function sendHlsStatus(req, res, start) {
+    if (!HLS_ENABLED) {
+        return res.status(404).json({ error: 'HLS streaming is disabled; start the gallery with --hls' });
+    }
+    if (!videoTools.ffmpeg || !videoTools.ffprobe) {
+        return res.status(503).json({ error: 'HLS streaming requires ffmpeg and ffprobe' });
+    }
+    
+    // Express has already decoded the path parameter
+    const resolvedPath = resolveScanPath(req.params.path);
+    if (!resolvedPath) {
+        return res.status(403).json({ error: 'Access denied' });
+    }
+    if (!isVideo(resolvedPath)) {
+        return res.status(400).json({ error: 'Not a video file' });
+    }
+    
+    let stats;
+    try {
+        stats = await fs.stat(resolvedPath);
+    } catch (error) {
+        return res.status(404).json({ error: 'Video not found' });
+    }
+    
+    const relativePath = path.relative(scanDir, resolvedPath);
+    const source = { size: stats.size, modified: stats.mtime.toISOString() };
+    const playlist = await readyHlsPlaylist(relativePath, source);
+    if (playlist) {
+        return res.json({ status: 'ready', progress: 100, playlist });
+    }
+    
+    let job = hlsJobs.get(relativePath);
+    if (!job && start) {
+        const info = await loadVideoInfo(resolvedPath, stats);
+        if (!info || !info.duration) {
+            return res.status(422).json({ error: 'Video could not be read' });
+        }
+        job = queueHlsStream(relativePath, resolvedPath, source, info);
+    }
+    
+    if (!job) {
+        return res.json({ status: 'none', progress: 0 });
+    }
+    res.status(202).json({ status: job.status, progress: job.progress });
+}
+
+// Parse a Range header against a file size. Returns undefined when the whole file
+// should be sent (no header, or a multi-range/malformed one), null when the range
+// cannot be satisfied, otherwise { start, end } (inclusive).
+function parseByteRange(header, size) {
+    if (!header) return undefined;
+    
+    const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+    if (!match || (match[1] === '' && match[2] === '')) return undefined;
+    
+    let start;
+    let end = size - 1;
+    if (match[1] === '') {
+        // Suffix range: the last N bytes
+        const suffix = parseInt(match[2], 10);
+        if (suffix === 0) return null;
+        start = Math.max(size - suffix, 0);
+    } else {
+        start = parseInt(match[1], 10);
+        if (match[2] !== '') end = Math.min(parseInt(match[2], 10), size - 1);
+    }
+    
+    if (start >= size || start > end) return null;
+    return { start, end };
+}
+
+// Send a file honouring a single byte range, so players can seek in large videos
+function sendFileRange(req, res, filePath, size) {
+    res.setHeader('Accept-Ranges', 'bytes');
+    res.type(path.extname(filePath));
+    
+    const range = parseByteRange(req.headers.range, size);
+    if (range === null) {
+        res.setHeader('Content-Range', `bytes */${size}`);
+        return res.status(416).end();
+    }
+    
+    const { start, end } = range || { start: 0, end: size - 1 };
+    if (range) {
+        res.status(206);
+        res.setHeader('Content-Range', `bytes ${start}-${end}/${size}`);
+    }
+    res.setHeader('Content-Length', end - start + 1);
+    
+    if (req.method === 'HEAD' || size === 0) {
+        return res.end();
+    }
+    
+    const stream = createReadStream(filePath, { start, end });
+    stream.on('error', (error) => {
+        console.warn(`Failed to stream ${filePath}:`, error.message);
+        res.destroy();
+    });
+    res.on('close', () => stream.destroy());
+    stream.pipe(res);
+}
+
+// Stream a video through ffmpeg as fragmented MP4. Converted streams cannot serve
+// byte ranges; players seek by requesting a new stream with ?t=<seconds>.
+function sendConvertedVideo(req, res, filePath, { mode, info }) {
+    const headers = {
+        'Content-Type': 'video/mp4',
+        'Accept-Ranges': 'none',
+        'Cache-Control': 'no-cache',
+        'X-Video-Playback': mode
+    };
+    
+    // HEAD only asks for the headers, so no conversion is started for it
+    if (req.method === 'HEAD') {
+        res.writeHead(200, headers);
+        return res.end();
+    }
+    
+    if (activeConversions.size >= MAX_VIDEO_CONVERSIONS) {
+        res.setHeader('Retry-After', '5');
+        return res.status(503).json({ error: 'Too many videos are being converted, try again shortly' });
+    }
+    
+    const start = Math.max(parseFloat(req.query.t) || 0, 0);
+    const ffmpeg = streamFragmentedMp4(filePath, { mode, info, start });
+    activeConversions.add(ffmpeg);
+    
+    let errorOutput = '';
+    ffmpeg.stderr.on('data', (chunk) => {
+        errorOutput = (errorOutput + chunk).slice(-2000);
+    });
+    
+    ffmpeg.on('error', (error) => {
+        activeConversions.delete(ffmpeg);
+        console.warn(`Failed to start ffmpeg for ${filePath}:`, error.message);
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Video conversion failed' });
+        } else {
+            res.destroy();
+        }
+    });
+    
+    ffmpeg.on('close', (code, signal) => {
+        activeConversions.delete(ffmpeg);
+        // A killed process means the player went away or seeked elsewhere
+        if (code !== 0 && !signal) {
+            console.warn(`ffmpeg ${mode} of ${filePath} failed:`, errorOutput.trim() || `exit code ${code}`);
+        }
+        res.end();
+    });
+    
+    res.on('close', () => {
+        if (ffmpeg.exitCode === null) ffmpeg.kill('SIGKILL');
+    });
+    
+    res.writeHead(200, headers);
+    ffmpeg.stdout.pipe(res);
+}
+
+// Write a gallery result as newline-delimited JSON: a header line, one line per
+// item, then an end marker. Waits for the socket to drain so large galleries
+// are not buffered in memory, and stops when the client disconnects.
+async function streamGalleryNdjson(res, header, { galleries, groupOrder }) {
+    res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+    res.write(JSON.stringify({ type: 'gallery', ...header, groupOrder }) + '\n');
+    
+    let count = 0;
+    for (const group of groupOrder) {
+        for (const item of galleries[group]) {
+            if (res.destroyed) return;
+            if (!res.write(JSON.stringify({ type: 'item', group, item }) + '\n')) {
+                await Promise.race([once(res, 'drain'), once(res, 'close')]);
+            }
+            count++;
+        }
+    }
+    
+    res.end(JSON.stringify({ type: 'end', count }) + '\n');
+}
+
+// Keep cached gallery items in sync after a metadata write
+function updateCachedMetadata(relativePath, metadata) {
+    if (!galleryCache.data) return;
+    
+    const items = galleryCache.data.galleries[path.dirname(relativePath)] || [];
+    const item = items.find(img => img.relativePath === relativePath);
+    if (item) {
+        item.metadata = metadata;
+    }
+}
+
+// Keep cached gallery items in sync after thumbnail sizes were generated
+function updateCachedThumbnail(relativePath, fields) {
+    if (!galleryCache.data) return;
+    
+    const items = galleryCache.data.galleries[path.dirname(relativePath)] || [];
+    const item = items.find(img => img.relativePath === relativePath);
+    if (item) {
+        Object.assign(item, fields);
+    }
+}
+
 // Global thumbnail generation state
 let thumbnailGenerationState = {
     isGenerating: false,
@@ -703,9 +1539,12 @@ function broadcastGlobalProgress() {
     });
 }
 
-// Global state for viewport-aware generation
+// Global state for viewport-aware generation. Both queues hold items that still
+// need their smallest size tier; largerSizesQueue then holds items waiting for the
+// larger tiers, which are generated once every item has a thumbnail.
 let viewportQueue = [];
 let backgroundQueue = [];
+let largerSizesQueue = [];
 let isGenerating = false;
 let isPaused = false;
 
@@ -713,6 +1552,7 @@ let isPaused = false;
 async function generateThumbnailsInBackground(pendingImages) {
     viewportQueue = [];
     backgroundQueue = [...pendingImages];
+    largerSizesQueue = [];
     isGenerating = true;
     
     thumbnailGenerationState = {
@@ -734,18 +1574,141 @@ async function generateThumbnailsInBackground(pendingImages) {
     await processThumbnailQueue();
 }
 
-// Process thumbnail queue with viewport priority
+// Add media to the running thumbnail generation, or start one. Jobs are recorded in the
+// index first so they survive a restart; failed jobs wait for their retry time, and media
+// that is already queued is skipped.
+function queueThumbnails(images) {
+    let runnable;
+    try {
+        runnable = galleryIndex.queueThumbnailJobs(images);
+    } catch (error) {
+        console.warn('Failed to record thumbnail jobs:', error.message);
+        runnable = new Set(images.map(image => image.relativePath));
+    }
+    
+    const queued = new Set([...viewportQueue, ...backgroundQueue, ...largerSizesQueue].map(media => media.relativePath));
+    const pending = images.filter(image => runnable.has(image.relativePath) && !queued.has(image.relativePath));
+    if (pending.length === 0) return;
+    
+    if (!isGenerating) {
+        generateThumbnailsInBackground(pending);
+        return;
+    }
+    
+    backgroundQueue.push(...pending);
+    thumbnailGenerationState.total += pending.length;
+    broadcastToClients({ type: 'request_viewport_items' });
+}
+
+function completeThumbnailJob(media) {
+    try {
+        galleryIndex.completeThumbnailJob(media.relativePath);
+    } catch (error) {
+        console.warn(`Failed to record thumbnail job for ${media.relativePath}:`, error.message);
+    }
+}
+
+// Record a failed attempt and when to retry it (see thumbnailRetryTime in thumbnails.js)
+function failThumbnailJob(media, error) {
+    try {
+        const job = galleryIndex.getThumbnailJob(media.relativePath);
+        const attempts = (job ? job.attempts : 0) + 1;
+        galleryIndex.failThumbnailJob(media.relativePath, error.message, thumbnailRetryTime(media, attempts));
+    } catch (indexError) {
+        console.warn(`Failed to record thumbnail job for ${media.relativePath}:`, indexError.message);
+    }
+}
+
+// Media of the jobs that can run now. Jobs of files changed or deleted since they
+// were queued are left to the next scan.
+async function dueThumbnailJobs() {
+    let jobs;
+    try {
+        jobs = galleryIndex.getDueThumbnailJobs();
+    } catch (error) {
+        console.warn('Failed to read thumbnail jobs:', error.message);
+        return [];
+    }
+    
+    const media = [];
+    for (const job of jobs) {
+        try {
+            const stats = await fs.stat(job.path);
+            if (stats.size !== job.size || stats.mtime.toISOString() !== job.modified) continue;
+        } catch {
+            continue;
+        }
+        if (job.type === 'video') {
+            job.video = galleryIndex.getVideoInfo(job.relativePath, job) || null;
+        } else {
+            job.exif = galleryIndex.getExif(job.relativePath, job) || null;
+        }
+        media.push(job);
+    }
+    return media;
+}
+
+let thumbnailRetryTimer = null;
+
+// Wake up when the next failed job is due for another attempt
+function scheduleThumbnailRetry() {
+    clearTimeout(thumbnailRetryTimer);
+    
+    let nextAttemptAt;
+    try {
+        nextAttemptAt = galleryIndex.getNextThumbnailRetry();
+    } catch (error) {
+        console.warn('Failed to read thumbnail jobs:', error.message);
+        return;
+    }
+    if (nextAttemptAt === null) return;
+    
+    // setTimeout delays are limited to 32 bits
+    const delay = Math.min(Math.max(nextAttemptAt - Date.now(), 0), 2 ** 31 - 1);
+    thumbnailRetryTimer = setTimeout(resumeThumbnailJobs, delay);
+    thumbnailRetryTimer.unref();
+}
+
+// Queue the jobs that are due: after a restart the ones left pending, later the failed
+// ones whose retry time has come
+async function resumeThumbnailJobs() {
+    const media = await dueThumbnailJobs();
+    if (media.length > 0) {
+        console.log(`⏯️  Resuming ${media.length} thumbnail jobs...`);
+        queueThumbnails(media);
+    }
+    scheduleThumbnailRetry();
+}
+
+// Batch size and delay for the number of thumbnails being generated
+function thumbnailBatchSettings(total) {
+    if (total >= 500) {
+        return { batchSize: THUMBNAIL_CONFIG.batchSize.large, batchDelay: THUMBNAIL_CONFIG.batchDelay.large };
+    }
+    if (total >= 100) {
+        return { batchSize: THUMBNAIL_CONFIG.batchSize.medium, batchDelay: THUMBNAIL_CONFIG.batchDelay.large };
+    }
+    return { batchSize: THUMBNAIL_CONFIG.batchSize.small, batchDelay: THUMBNAIL_CONFIG.batchDelay.small };
+}
+
+// Process thumbnail queue with viewport priority. The work itself runs on the
+// thumbnail pool's worker threads; a batch is handed to the pool at once.
 async function processThumbnailQueue() {
-    const batchSize = 5;
     let processedCount = 0;
     let errorCount = 0;
     
-    while (isGenerating && (viewportQueue.length > 0 || backgroundQueue.length > 0)) {
+    const smallestSize = THUMBNAIL_SIZES.slice(0, 1);
+    const largerSizes = THUMBNAIL_SIZES.slice(1);
+    
+    while (isGenerating && (viewportQueue.length > 0 || backgroundQueue.length > 0 || largerSizesQueue.length > 0)) {
         // Check if paused
         if (isPaused) {
             await new Promise(resolve => setTimeout(resolve, 500));
             continue;
         }
+        // Re-read for every batch, since the watcher can add items while generating
+        const { batchSize, batchDelay } = thumbnailBatchSettings(thumbnailGenerationState.total);
+        
         // Prioritize viewport items
         const batch = [];
         
@@ -759,6 +1722,11 @@ async function processThumbnailQueue() {
             batch.push({ item: backgroundQueue.shift(), priority: 'background' });
         }
         
+        // Larger sizes only once every item has its smallest thumbnail
+        while (batch.length < batchSize && largerSizesQueue.length > 0) {
+            batch.push({ item: largerSizesQueue.shift(), priority: 'larger' });
+        }
+        
         if (batch.length === 0) break;
         
         // Generate tiny previews first for viewport items
@@ -780,11 +1748,25 @@ async function processThumbnailQueue() {
         
         await Promise.all(tinyPromises);
         
-        // Generate full thumbnails
-        const fullPromises = batch.map(async ({ item }) => {
+        // Generate full thumbnails: the smallest size first, larger sizes in a later pass
+        const fullPromises = batch.map(async ({ item, priority }) => {
             try {
                 thumbnailGenerationState.currentFile = item.name;
-                await generateThumbnailFast(item);
+                if (priority === 'larger') {
+                    await generateThumbnailFast(item, largerSizes);
+                } else {
+                    await generateThumbnailFast(item, smallestSize);
+                    if (largerSizes.length > 0) {
+                        // Visible items get their sharper thumbnails first
+                        if (priority === 'viewport') {
+                            largerSizesQueue.unshift(item);
+                        } else {
+                            largerSizesQueue.push(item);
+                        }
+                        return { success: true, item };
+                    }
+                }
+                completeThumbnailJob(item);
                 processedCount++;
                 thumbnailGenerationState.completed++;
                 thumbnailGenerationState.progress = Math.round((thumbnailGenerationState.completed / thumbnailGenerationState.total) * 100);
@@ -792,7 +1774,8 @@ async function processThumbnailQueue() {
                 return { success: true, item };
             } catch (error) {
                 errorCount++;
-                console.warn(`✗ Failed: ${item.name}`);
+                failThumbnailJob(item, error);
+                console.warn(`✗ Failed: ${item.name} (${error.message})`);
                 return { success: false, item, error };
             }
         });
@@ -800,7 +1783,7 @@ async function processThumbnailQueue() {
         await Promise.all(fullPromises);
         
         // Small delay between batches
-        await new Promise(resolve => setTimeout(resolve, 50));
+        await new Promise(resolve => setTimeout(resolve, batchDelay));
     }
     
     const totalProcessed = processedCount + errorCount;
@@ -816,23 +1799,165 @@ async function processThumbnailQueue() {
     
     console.log(`✅ Viewport-aware generation complete`);
     console.log(`📊 Stats: ${processedCount} success, ${errorCount} errors`);
+    
+    if (errorCount > 0) {
+        scheduleThumbnailRetry();
+    }
 }
 
-// Generate the index.html file in .gallery-cache
-async function generateIndexHTML() {
-    const htmlContent = `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Gallery</title>
-    <style>
-        :root {
-            --bg-primary: #ffffff;
-            --bg-secondary: #f8f9fa;
-            --text-primary: #2c3e50;
-            --text-secondary: #7f8c8d;
-            --modal-bg: rgba(0,0,0,0.95);
+// Sprite sheets are generated one video at a time after the thumbnails, since
+// each one decodes SPRITE_CONFIG.frames frames
+let spriteQueue = [];
+let isGeneratingSprites = false;
+
+function queueSprites(videos) {
+    const queued = new Set(spriteQueue.map(video => video.relativePath));
+    spriteQueue.push(...videos.filter(video => !queued.has(video.relativePath)));
+    
+    if (!isGeneratingSprites) {
+        processSpriteQueue();
+    }
+}
+
+async function processSpriteQueue() {
+    isGeneratingSprites = true;
+    console.log(`🎞️  Generating preview sprites for ${spriteQueue.length} videos...`);
+    
+    while (spriteQueue.length > 0) {
+        // Thumbnails come first; pausing thumbnails pauses sprites too
+        if (isGenerating || isPaused) {
+            await new Promise(resolve => setTimeout(resolve, 500));
+            continue;
+        }
+        
+        const video = spriteQueue.shift();
+        try {
+            const sprite = await generateSprite(video);
+            if (sprite) {
+                broadcastToClients({
+                    type: 'sprite_ready',
+                    relativePath: video.relativePath,
+                    sprite
+                });
+            }
+        } catch (error) {
+            console.warn(`Failed to generate sprite for ${video.relativePath}:`, error.message);
+        }
+    }
+    
+    isGeneratingSprites = false;
+}
+
+// Write the sprite sheet and WebVTT thumbnails track of a video.
+// Returns the track URL, or null when no frames could be decoded.
+async function generateSprite(media) {
+    const sheet = await createSpriteSheet(media.path, media.video.duration, SPRITE_CONFIG);
+    if (!sheet) return null;
+    
+    const imageName = spriteFileName(media, 'jpg');
+    const trackName = spriteFileName(media, 'vtt');
+    await fs.writeFile(path.join(SPRITES_DIR, imageName), sheet.image);
+    await fs.writeFile(path.join(SPRITES_DIR, trackName), spriteVtt(sheet, `/static/sprites/${imageName}`));
+    return `/static/sprites/${trackName}`;
+}
+
+// Delete the sprite of one version of a video
+function removeSprite(media) {
+    for (const extension of ['jpg', 'vtt']) {
+        fs.unlink(path.join(SPRITES_DIR, spriteFileName(media, extension))).catch(() => {});
+    }
+}
+
+// HLS streams are generated lazily, one video at a time, into
+// .gallery-cache/streams/<sha1 of the path>/ (a hash, since a directory name must not
+// contain '/' and long paths would exceed the file name length limit). The version of
+// the video a stream was made from is kept in its source.json.
+const hlsJobs = new Map(); // relativePath -> { status: 'queued' | 'generating', progress }
+let hlsQueue = Promise.resolve();
+
+function hlsStreamKey(relativePath) {
+    return crypto.createHash('sha1').update(relativePath).digest('hex');
+}
+
+function hlsDirectory(relativePath) {
+    return path.join(STREAMS_DIR, hlsStreamKey(relativePath));
+}
+
+function hlsPlaylistUrl(relativePath) {
+    return `/static/streams/${hlsStreamKey(relativePath)}/master.m3u8`;
+}
+
+// Master playlist URL if a finished stream exists for this version of the file
+async function readyHlsPlaylist(relativePath, source) {
+    try {
+        const stored = JSON.parse(await fs.readFile(path.join(hlsDirectory(relativePath), 'source.json'), 'utf8'));
+        if (stored.size === source.size && stored.modified === source.modified) {
+            return hlsPlaylistUrl(relativePath);
+        }
+    } catch {
+        // Not generated yet
+    }
+    return null;
+}
+
+function broadcastHlsProgress(relativePath, data) {
+    broadcastToClients({ type: 'hls_progress', relativePath, ...data });
+}
+
+function queueHlsStream(relativePath, filePath, source, info) {
+    const job = { status: 'queued', progress: 0 };
+    hlsJobs.set(relativePath, job);
+    broadcastHlsProgress(relativePath, job);
+    
+    hlsQueue = hlsQueue.then(() => generateHlsStream(relativePath, filePath, source, info, job));
+    return job;
+}
+
+async function generateHlsStream(relativePath, filePath, source, info, job) {
+    const outputDir = hlsDirectory(relativePath);
+    // Written next to the final directory and renamed when complete, so players never see a partial stream
+    const workDir = `${outputDir}.tmp`;
+    
+    job.status = 'generating';
+    broadcastHlsProgress(relativePath, job);
+    console.log(`📺 Generating HLS stream for ${relativePath}...`);
+    
+    try {
+        await fs.rm(workDir, { recursive: true, force: true });
+        await createHlsStream(filePath, workDir, info, (progress) => {
+            job.progress = progress;
+            broadcastHlsProgress(relativePath, job);
+        });
+        await fs.writeFile(path.join(workDir, 'source.json'), JSON.stringify(source));
+        await fs.rm(outputDir, { recursive: true, force: true });
+        await fs.rename(workDir, outputDir);
+        
+        console.log(`✅ HLS stream ready for ${relativePath}`);
+        broadcastHlsProgress(relativePath, { status: 'ready', progress: 100, playlist: hlsPlaylistUrl(relativePath) });
+    } catch (error) {
+        console.warn(`Failed to generate HLS stream for ${relativePath}:`, error.message);
+        await fs.rm(workDir, { recursive: true, force: true }).catch(() => {});
+        broadcastHlsProgress(relativePath, { status: 'error', error: 'Could not prepare the adaptive stream' });
+    } finally {
+        hlsJobs.delete(relativePath);
+    }
+}
+
+// Generate the index.html file in .gallery-cache
+async function generateIndexHTML() {
+    const htmlContent = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Gallery</title>
+    <style>
+        :root {
+            --bg-primary: #ffffff;
+            --bg-secondary: #f8f9fa;
+            --text-primary: #2c3e50;
+            --text-secondary: #7f8c8d;
+            --modal-bg: rgba(0,0,0,0.95);
             --button-bg: rgba(255,255,255,0.15);
             --button-bg-hover: rgba(255,255,255,0.25);
             --button-text: #ffffff;
@@ -886,6 +2011,21 @@ async function generateIndexHTML() {
             text-overflow: ellipsis;
         }
         .header-actions { display: flex; gap: 0.5rem; align-items: center; }
+        .header-search { flex: 1; max-width: 420px; margin: 0 1.5rem; }
+        .search-input {
+            width: 100%;
+            height: 36px;
+            padding: 0 0.75rem;
+            border: 1px solid rgba(0,0,0,0.1);
+            border-radius: 6px;
+            background: var(--bg-secondary);
+            color: var(--text-primary);
+            font-size: 0.9rem;
+            outline: none;
+            transition: border-color 0.2s;
+        }
+        .search-input:focus { border-color: #3498db; }
+        .search-input.invalid { border-color: #e74c3c; }
         .header-btn {
             width: 36px;
             height: 36px;
@@ -902,31 +2042,33 @@ async function generateIndexHTML() {
             padding: 0;
         }
         .header-btn:hover { background: #e9ecef; }
-        .gallery-sections { padding: 0 2rem 2rem; }
-        .gallery-section { margin-bottom: 2rem; }
+        .gallery-sections { position: relative; margin: 0 2rem 2rem; }
         .section-title {
+            position: absolute;
+            left: 0;
+            right: 0;
+            height: 32px;
             font-size: 1.1rem;
             font-weight: 600;
             color: var(--text-primary);
-            padding-bottom: 0.5rem;
             border-bottom: 2px solid var(--text-primary);
-            margin-bottom: 1rem;
+            white-space: nowrap;
+            overflow: hidden;
+            text-overflow: ellipsis;
         }
-        .gallery { column-count: 5; column-gap: 15px; }
         .gallery-item {
-            break-inside: avoid;
-            margin-bottom: 15px;
             cursor: pointer;
             transition: transform 0.2s;
             border-radius: 8px;
             overflow: hidden;
             box-shadow: 0 2px 8px rgba(0,0,0,0.1);
-            position: relative;
+            position: absolute;
             background: var(--bg-primary);
         }
         .gallery-item:hover:not(.loading) { transform: translateY(-5px); box-shadow: 0 8px 20px rgba(0,0,0,0.15); }
         .gallery-item:hover:not(.loading) .heart-btn { opacity: 1; }
-        .gallery-item img { width: 100%; height: auto; display: block; transition: opacity 0.3s; }
+        .gallery-item picture { display: block; width: 100%; height: 100%; }
+        .gallery-item img { width: 100%; height: 100%; object-fit: cover; display: block; transition: opacity 0.3s; }
         .gallery-item img.loading { opacity: 0.6; filter: blur(8px); }
         .gallery-item .loader {
             position: absolute;
@@ -943,6 +2085,42 @@ async function generateIndexHTML() {
         }
         .gallery-item.loading .loader { display: block; }
         @keyframes spin { to { transform: translate(-50%, -50%) rotate(360deg); } }
+        .video-badge, .format-badge {
+            position: absolute;
+            top: 8px;
+            left: 8px;
+            z-index: 2;
+            padding: 2px 7px;
+            border-radius: 4px;
+            background: rgba(0,0,0,0.65);
+            color: white;
+            font-size: 12px;
+            font-variant-numeric: tabular-nums;
+            pointer-events: none;
+        }
+        .scrub-preview {
+            position: absolute;
+            inset: 0;
+            z-index: 1;
+            background-color: #000;
+            background-repeat: no-repeat;
+            display: none;
+            pointer-events: none;
+        }
+        .scrub-preview.active { display: block; }
+        .gallery-item img.animated-preview {
+            position: absolute;
+            inset: 0;
+            z-index: 1;
+            pointer-events: none;
+        }
+        .scrub-progress {
+            position: absolute;
+            left: 0;
+            bottom: 0;
+            height: 3px;
+            background: #3498db;
+        }
         .heart-btn {
             position: absolute;
             top: 8px;
@@ -984,6 +2162,26 @@ async function generateIndexHTML() {
         }
         .modal-image.panning { cursor: grabbing; }
         .modal-video { max-width: 90%; max-height: 90%; border-radius: 8px; }
+        .video-seek {
+            position: fixed; height: 18px; z-index: 2001;
+            display: none; align-items: center; cursor: pointer;
+        }
+        .video-seek.active { display: flex; }
+        .video-seek-track { position: relative; width: 100%; height: 4px; border-radius: 2px; background: rgba(255,255,255,0.25); }
+        .video-seek:hover .video-seek-track { height: 6px; }
+        .video-seek-fill { position: absolute; left: 0; top: 0; bottom: 0; border-radius: 2px; background: #3498db; }
+        .video-seek-preview {
+            position: absolute; bottom: 24px; transform: translateX(-50%);
+            display: none; flex-direction: column; align-items: center; gap: 4px;
+            color: var(--button-text); font-size: 12px; font-variant-numeric: tabular-nums;
+            pointer-events: none;
+        }
+        .video-seek-preview.active { display: flex; }
+        .video-seek-frame {
+            width: 160px; border: 2px solid rgba(255,255,255,0.8); border-radius: 4px;
+            background-color: #000; background-repeat: no-repeat; display: none;
+        }
+        .video-seek-frame.active { display: block; }
         /* Round, Visible Close Button */
         .close {
             position: fixed; top: 20px; right: 20px;
@@ -1012,6 +2210,8 @@ async function generateIndexHTML() {
         }
         .zoom-btn:hover { background: var(--button-bg-hover); transform: scale(1.15); box-shadow: 0 6px 20px rgba(0,0,0,0.6); }
         .zoom-btn.hearted svg { fill: #e74c3c; stroke: #e74c3c; }
+        .version-btn { display: none; width: auto; padding: 0 16px; border-radius: 24px; font-size: 13px; font-weight: 600; letter-spacing: 0.5px; }
+        .version-btn.available { display: flex; }
         .zoom-btn:not(.hearted) svg { fill: none; }
         .zoom-info {
             position: fixed; top: 30px; left: 30px;
@@ -1022,9 +2222,107 @@ async function generateIndexHTML() {
             box-shadow: 0 4px 12px rgba(0,0,0,0.4); display: none;
         }
         .zoom-info.active { display: block; }
-        @media (max-width: 1200px) { .gallery { column-count: 4; } }
-        @media (max-width: 900px) { .gallery { column-count: 3; } }
-        @media (max-width: 600px) { .gallery { column-count: 2; } }
+        .modal-counter {
+            position: fixed; top: 30px; left: 50%; transform: translateX(-50%);
+            background: var(--button-bg); backdrop-filter: blur(10px);
+            border: 2px solid rgba(255,255,255,0.3);
+            color: var(--button-text); padding: 10px 20px; border-radius: 24px;
+            font-size: 14px; font-weight: 600; z-index: 2001;
+            box-shadow: 0 4px 12px rgba(0,0,0,0.4);
+        }
+        .modal-counter:empty { display: none; }
+        .hls-status {
+            position: fixed; top: 84px; left: 50%; transform: translateX(-50%);
+            background: var(--button-bg); backdrop-filter: blur(10px);
+            color: var(--button-text); padding: 6px 14px; border-radius: 16px;
+            font-size: 12px; z-index: 2001;
+        }
+        .hls-status:empty { display: none; }
+        .modal-nav { position: fixed; top: 50%; margin-top: -24px; z-index: 2001; font-size: 28px; }
+        .modal-nav.prev { left: 20px; }
+        .modal-nav.next { right: 20px; }
+        .modal-nav:disabled { opacity: 0.3; cursor: default; }
+        .info-toggle { position: fixed; top: 24px; right: 90px; z-index: 2001; font-size: 20px; }
+        .info-toggle.active { background: var(--button-bg-hover); border-color: rgba(255,255,255,0.6); }
+        .info-panel {
+            position: fixed; top: 90px; right: 20px; width: 300px; max-height: calc(100% - 180px);
+            overflow-y: auto; background: var(--button-bg); backdrop-filter: blur(10px);
+            border: 2px solid rgba(255,255,255,0.3); border-radius: 16px;
+            color: var(--button-text); padding: 14px 16px; z-index: 2001;
+            box-shadow: 0 4px 12px rgba(0,0,0,0.4); display: none; font-size: 13px;
+        }
+        .info-panel.active { display: block; }
+        .info-panel h3 { font-size: 14px; margin-bottom: 10px; word-break: break-all; }
+        .info-row { display: flex; gap: 10px; padding: 4px 0; border-top: 1px solid rgba(255,255,255,0.1); }
+        .info-label { flex: 0 0 90px; opacity: 0.7; }
+        .info-value { flex: 1; word-break: break-word; }
+        .info-value a { color: #5dade2; }
+        .tag-panel {
+            position: fixed; bottom: 30px; left: 30px; width: 300px;
+            background: var(--button-bg); backdrop-filter: blur(10px);
+            border: 2px solid rgba(255,255,255,0.3); border-radius: 16px;
+            color: var(--button-text); padding: 12px; z-index: 2001;
+            box-shadow: 0 4px 12px rgba(0,0,0,0.4); display: none;
+        }
+        .tag-panel.active { display: block; }
+        .tag-list { display: flex; flex-wrap: wrap; gap: 6px; margin-bottom: 8px; }
+        .tag-list:empty { margin-bottom: 0; }
+        .tag-chip {
+            display: inline-flex; align-items: center; gap: 4px;
+            padding: 3px 10px; border-radius: 12px; border: none;
+            background: #3498db; color: #fff; font-size: 12px;
+            cursor: pointer; transition: background 0.2s;
+        }
+        .tag-chip:hover { background: #2980b9; }
+        .tag-chip .tag-remove { opacity: 0.7; font-size: 14px; line-height: 1; }
+        .tag-chip .tag-remove:hover { opacity: 1; }
+        .tag-input {
+            width: 100%; padding: 6px 10px; border-radius: 8px;
+            border: 1px solid rgba(255,255,255,0.3); background: rgba(255,255,255,0.1);
+            color: var(--button-text); font-size: 13px; outline: none;
+        }
+        .tag-input::placeholder { color: rgba(255,255,255,0.6); }
+        .item-tags {
+            position: absolute; left: 6px; right: 6px; bottom: 6px;
+            display: flex; flex-wrap: wrap; gap: 4px;
+            opacity: 0; transition: opacity 0.2s; z-index: 10;
+        }
+        .item-tags .tag-chip { padding: 2px 8px; font-size: 11px; }
+        .gallery-item:hover:not(.loading) .item-tags { opacity: 1; }
+        .tag-filter {
+            display: none; align-items: center; gap: 6px;
+            padding: 4px 6px 4px 12px; border-radius: 18px;
+            background: #3498db; color: #fff; font-size: 0.85rem;
+        }
+        .tag-filter.active { display: flex; }
+        .tag-filter button {
+            border: none; background: rgba(255,255,255,0.2); color: #fff;
+            width: 22px; height: 22px; border-radius: 50%; cursor: pointer;
+        }
+        .view-options { display: flex; gap: 0.25rem; align-items: center; }
+        .view-select {
+            height: 36px;
+            padding: 0 0.5rem;
+            border: 1px solid rgba(0,0,0,0.1);
+            border-radius: 6px;
+            background: var(--bg-secondary);
+            color: var(--text-primary);
+            font-size: 0.85rem;
+            cursor: pointer;
+        }
+        .load-more { display: none; justify-content: center; padding: 1rem 0 3rem; }
+        .load-more.active { display: flex; }
+        .load-more .loader {
+            width: 28px;
+            height: 28px;
+            border: 3px solid rgba(0,0,0,0.1);
+            border-top-color: #3498db;
+            border-radius: 50%;
+            animation: spin 0.8s linear infinite;
+        }
+        .section-title.clickable { cursor: pointer; }
+        .section-title.clickable:hover { color: #3498db; }
+        .section-count { font-weight: 400; font-size: 0.85rem; color: var(--text-secondary); margin-left: 0.5rem; }
     </style>
 </head>
 <body>
@@ -1041,7 +2339,35 @@ async function generateIndexHTML() {
                 <div class="progress-text" id="progress-text"></div>
             </div>
         </div>
+        <div class="header-search">
+            <input class="search-input" id="searchInput" type="search" placeholder="Search (tag:, dir:, type:video, rating:>=3)" autocomplete="off">
+        </div>
         <div class="header-actions">
+            <div class="tag-filter" id="tagFilter" title="Showing items with this tag">
+                <span id="tagFilterLabel"></span>
+                <button onclick="filterByTag(null)" title="Clear tag filter">✕</button>
+            </div>
+            <div class="tag-filter" id="dirFilter" title="Showing this folder and its subfolders">
+                <span id="dirFilterLabel"></span>
+                <button onclick="filterByDirectory(null)" title="Show all folders">✕</button>
+            </div>
+            <div class="view-options">
+                <select class="view-select" id="groupBySelect" onchange="changeGrouping(this.value)" title="Group by">
+                    <option value="directory">Folder</option>
+                    <option value="day">Day</option>
+                    <option value="month">Month</option>
+                    <option value="year">Year</option>
+                    <option value="camera">Camera</option>
+                    <option value="none">No grouping</option>
+                </select>
+                <select class="view-select" id="sortSelect" onchange="changeSort(this.value)" title="Sort by">
+                    <option value="name">Name</option>
+                    <option value="captured">Date taken</option>
+                    <option value="mtime">Date modified</option>
+                    <option value="size">Size</option>
+                </select>
+                <button class="header-btn" id="orderBtn" onclick="toggleSortOrder()" title="Ascending">↑</button>
+            </div>
             <button class="header-btn" id="fullscreenBtn" onclick="toggleFullscreen()" title="Fullscreen">
                 <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
                     <path d="M8 3H5a2 2 0 0 0-2 2v3m18 0V5a2 2 0 0 0-2-2h-3m0 18h3a2 2 0 0 0 2-2v-3M3 16v3a2 2 0 0 0 2 2h3"></path>
@@ -1075,20 +2401,40 @@ async function generateIndexHTML() {
         </div>
     </div>
     <div class="gallery-sections" id="gallerySections"></div>
+    <div class="load-more" id="loadMore"><div class="loader"></div></div>
     <div class="modal" id="imageModal">
         <div class="close" id="closeModal">✕</div>
+        <div class="modal-counter" id="modalCounter"></div>
+        <div class="hls-status" id="hlsStatus"></div>
+        <button class="zoom-btn modal-nav prev" id="prevBtn" title="Previous (←)">‹</button>
+        <button class="zoom-btn modal-nav next" id="nextBtn" title="Next (→)">›</button>
+        <button class="zoom-btn info-toggle" id="infoBtn" title="Photo info">ⓘ</button>
+        <div class="info-panel" id="infoPanel"></div>
         <div class="zoom-info" id="zoomInfo">100%</div>
         <img class="modal-image" id="modalImage" style="display: none;">
         <video class="modal-video" id="modalVideo" controls style="display: none;"></video>
+        <div class="video-seek" id="videoSeek">
+            <div class="video-seek-track"><div class="video-seek-fill" id="videoSeekFill"></div></div>
+            <div class="video-seek-preview" id="videoSeekPreview">
+                <div class="video-seek-frame" id="videoSeekFrame"></div>
+                <span id="videoSeekTime"></span>
+            </div>
+        </div>
+        <div class="tag-panel" id="tagPanel">
+            <div class="tag-list" id="modalTags"></div>
+            <input class="tag-input" id="tagInput" list="tagSuggestions" placeholder="Add tag and press Enter" autocomplete="off">
+            <datalist id="tagSuggestions"></datalist>
+        </div>
         <div class="zoom-controls" id="zoomControls">
-            <button class="zoom-btn" id="heartBtn" title="Favorite">
+            <button class="zoom-btn" id="heartBtn" title="Favorite (H)">
                 <svg width="22" height="22" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
                     <path d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78l1.06 1.06L12 21.23l7.78-7.78 1.06-1.06a5.5 5.5 0 0 0 0-7.78z"></path>
                 </svg>
             </button>
-            <button class="zoom-btn" id="zoomOut">−</button>
-            <button class="zoom-btn" id="resetZoom">⌂</button>
-            <button class="zoom-btn" id="zoomIn">+</button>
+            <button class="zoom-btn version-btn" id="versionBtn" title="Switch between JPEG and RAW (V)">JPEG</button>
+            <button class="zoom-btn" id="zoomOut" title="Zoom out (-)">−</button>
+            <button class="zoom-btn" id="resetZoom" title="Reset zoom (0)">⌂</button>
+            <button class="zoom-btn" id="zoomIn" title="Zoom in (+)">+</button>
         </div>
     </div>
     <script>
@@ -1102,32 +2448,111 @@ async function generateIndexHTML() {
         let heartedImages = new Set();
         let currentModalMedia = null;
         let showOnlyHearted = false;
+        let allTags = [];
+        let activeTag = null;
+        let searchMatches = null;
+        let searchRequestId = 0;
+        let totalMediaCount = 0;
+        let hlsStreaming = false; // server started with --hls
         let thumbnailsPaused = false;
+        let galleryView = JSON.parse(localStorage.getItem('galleryView') || 'null') || { groupBy: 'directory', sort: 'name', order: 'asc' };
+        let viewRequestId = 0;
+        const PAGE_SIZE = 200;
+        let nextCursor = null;
+        let isLoadingPage = false;
+        let reloadAfterExif = false; // pages of an EXIF-ordered view were loaded while the server read EXIF
+        // Virtualized grid: every loaded item gets a precomputed box, but only
+        // items near the viewport have DOM nodes (see layoutGallery/renderVisibleItems)
+        const VIRTUAL_OVERSCAN = 1000;
+        const SECTION_HEADER_HEIGHT = 48;
+        const SECTION_GAP = 32;
+        const ITEM_GAP = 15;
+        let gallerySectionModels = [];
+        let galleryLayout = { sections: [], columns: 0, width: 0 };
+        const mountedItems = new Map();
+        const mountedTitles = new Map();
+        let renderFrame = null;
+        let activeDirectory = null;
+        // Set while the page is being updated from the URL, so it is not written back
+        let routeLocked = false;
+        
+        function loadHearts(galleries) {
+            Object.values(galleries).forEach(media => {
+                media.forEach(item => {
+                    if (item.metadata && item.metadata.favorite) heartedImages.add(item.relativePath);
+                });
+            });
+        }
         
-        function loadHearts() {
+        // One-time upload of favorites kept in localStorage by older versions
+        async function migrateLocalHearts() {
             const saved = localStorage.getItem('heartedImages');
-            if (saved) {
-                heartedImages = new Set(JSON.parse(saved));
+            if (!saved) return;
+            try {
+                const relativePaths = JSON.parse(saved).filter(p => !heartedImages.has(p));
+                if (relativePaths.length > 0) {
+                    const response = await fetch('/api/favorites', {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ relativePaths })
+                    });
+                    if (!response.ok) return;
+                    const result = await response.json();
+                    result.added.forEach(relativePath => {
+                        heartedImages.add(relativePath);
+                        const cached = thumbnailCache.get(relativePath);
+                        if (cached && cached.element) {
+                            const heartBtn = cached.element.querySelector('.heart-btn');
+                            if (heartBtn) heartBtn.classList.add('hearted');
+                        }
+                    });
+                }
+                localStorage.removeItem('heartedImages');
+            } catch (e) {
+                console.log('Failed to migrate local favorites');
             }
         }
         
-        function saveHearts() {
-            localStorage.setItem('heartedImages', JSON.stringify(Array.from(heartedImages)));
+        async function saveHeart(relativePath, hearted) {
+            const response = await fetch('/api/favorites/' + encodeURIComponent(relativePath), {
+                method: hearted ? 'PUT' : 'DELETE'
+            });
+            if (!response.ok) throw new Error('Failed to save favorite');
         }
         
-        function toggleHeart(relativePath, element) {
-            if (heartedImages.has(relativePath)) {
-                heartedImages.delete(relativePath);
-            } else {
+        async function toggleHeart(relativePath, element) {
+            const hearted = !heartedImages.has(relativePath);
+            setHearted(relativePath, hearted, element);
+            try {
+                await saveHeart(relativePath, hearted);
+            } catch (e) {
+                console.log('Failed to save favorite, reverting');
+                setHearted(relativePath, !hearted, element);
+            }
+        }
+        
+        function setHearted(relativePath, hearted, element) {
+            if (hearted) {
                 heartedImages.add(relativePath);
+            } else {
+                heartedImages.delete(relativePath);
             }
-            saveHearts();
             if (element) {
-                element.classList.toggle('hearted', heartedImages.has(relativePath));
+                element.classList.toggle('hearted', hearted);
+            }
+            const cached = thumbnailCache.get(relativePath);
+            if (cached) {
+                const heartBtn = cached.element && cached.element.querySelector('.heart-btn');
+                if (heartBtn) heartBtn.classList.toggle('hearted', hearted);
+                if (cached.data.metadata) {
+                    cached.data.metadata.favorite = hearted;
+                } else {
+                    cached.data.metadata = { favorite: hearted };
+                }
             }
             updateHeartButton();
             if (showOnlyHearted) {
-                filterByHearts();
+                applyFilters();
             }
         }
         
@@ -1150,144 +2575,1199 @@ async function generateIndexHTML() {
                 btn.style.color = '';
                 btn.querySelector('svg').style.fill = '';
             }
-            filterByHearts();
+            applyFilters();
+            updateRoute();
         }
         
-        function filterByHearts() {
-            document.querySelectorAll('.gallery-section').forEach(section => {
-                const items = section.querySelectorAll('.gallery-item');
-                let visibleCount = 0;
-                items.forEach(item => {
-                    const relativePath = item.dataset.relativePath;
-                    if (showOnlyHearted) {
-                        if (heartedImages.has(relativePath)) {
-                            item.style.display = '';
-                            visibleCount++;
-                        } else {
-                            item.style.display = 'none';
-                        }
-                    } else {
-                        item.style.display = '';
-                        visibleCount++;
-                    }
-                });
-                section.style.display = visibleCount > 0 ? '' : 'none';
-            });
+        function filterByTag(tag) {
+            activeTag = tag;
+            document.getElementById('tagFilter').classList.toggle('active', !!tag);
+            document.getElementById('tagFilterLabel').textContent = tag ? '#' + tag : '';
+            applyFilters();
+            updateRoute();
         }
         
-        async function loadGallery() {
-            loadHearts();
-            const response = await fetch('/api/gallery');
-            const data = await response.json();
-            document.getElementById('gallery-info').textContent = 'Found ' + data.totalImages + ' media files';
-            document.getElementById('gallery-path').textContent = data.scanDirectory;
-            
-            const sectionsContainer = document.getElementById('gallerySections');
+        function updateDirectoryFilter() {
+            document.getElementById('dirFilter').classList.toggle('active', !!activeDirectory);
+            document.getElementById('dirFilterLabel').textContent = activeDirectory ? '📁 ' + activeDirectory : '';
+        }
+        
+        // Limit the gallery to one directory (and its subdirectories); filtered on the server
+        function filterByDirectory(directory) {
+            activeDirectory = directory && directory !== '.' ? directory : null;
+            updateDirectoryFilter();
+            window.scrollTo(0, 0);
+            changeView({});
+        }
+        
+        function matchesFilters(relativePath) {
+            if (showOnlyHearted && !heartedImages.has(relativePath)) return false;
+            if (searchMatches && !searchMatches.has(relativePath)) return false;
+            if (activeTag) {
+                const cached = thumbnailCache.get(relativePath);
+                const tags = cached ? getTags(cached.data) : [];
+                if (!tags.some(tag => tag.toLowerCase() === activeTag.toLowerCase())) return false;
+            }
+            return true;
+        }
+        
+        function applyFilters() {
+            layoutGallery();
+            // Filters can hide everything loaded so far
+            maybeLoadMore();
+        }
+        
+        async function runSearch(query) {
+            const requestId = ++searchRequestId;
+            const input = document.getElementById('searchInput');
+            const info = document.getElementById('gallery-info');
             
-            // Sort directories for consistent display
-            const sortedDirs = Object.keys(data.galleries).sort();
+            if (!query.trim()) {
+                searchMatches = null;
+                input.classList.remove('invalid');
+                info.textContent = 'Found ' + totalMediaCount + ' media files';
+                applyFilters();
+                return;
+            }
             
-            sortedDirs.forEach(dir => {
-                const media = data.galleries[dir];
-                
-                // Create section
-                const section = document.createElement('div');
-                section.className = 'gallery-section';
-                
-                // Create section title
-                const title = document.createElement('div');
-                title.className = 'section-title';
-                title.textContent = dir === '.' ? 'Root' : dir;
-                section.appendChild(title);
+            try {
+                const response = await fetch('/api/search?q=' + encodeURIComponent(query));
+                const data = await response.json();
+                // Ignore responses for queries that have since been replaced
+                if (requestId !== searchRequestId) return;
+                if (!response.ok) {
+                    input.classList.add('invalid');
+                    input.title = (data.details || [data.error]).join('\\n');
+                    return;
+                }
+                input.classList.remove('invalid');
+                input.title = '';
+                searchMatches = new Set(data.results.map(item => item.relativePath));
+                info.textContent = data.total + ' of ' + totalMediaCount + ' media files match';
+                applyFilters();
+            } catch (e) {
+                console.log('Search failed');
+            }
+        }
+        
+        let searchTimeout;
+        document.getElementById('searchInput').addEventListener('input', (e) => {
+            clearTimeout(searchTimeout);
+            searchTimeout = setTimeout(() => {
+                runSearch(e.target.value);
+                updateRoute();
+            }, 250);
+        });
+        
+        // URL routing: the hash holds everything needed to reproduce the view
+        // (#dir=&q=&tag=&favorites=1&groupBy=&sort=&order=&item=), history.state the scroll position
+        function buildRouteHash() {
+            const params = new URLSearchParams();
+            if (activeDirectory) params.set('dir', activeDirectory);
+            const query = document.getElementById('searchInput').value.trim();
+            if (query) params.set('q', query);
+            if (activeTag) params.set('tag', activeTag);
+            if (showOnlyHearted) params.set('favorites', '1');
+            if (galleryView.groupBy !== 'directory') params.set('groupBy', galleryView.groupBy);
+            if (galleryView.sort !== 'name') params.set('sort', galleryView.sort);
+            if (galleryView.order !== 'asc') params.set('order', galleryView.order);
+            if (currentModalMedia) params.set('item', currentModalMedia.relativePath);
+            const hash = params.toString();
+            return hash ? '#' + hash : '';
+        }
+        
+        // push adds a history entry (used when opening the modal, so Back closes it)
+        function updateRoute(push) {
+            if (routeLocked) return;
+            const hash = buildRouteHash();
+            if (hash === window.location.hash || (!hash && !window.location.hash)) return;
+            const url = window.location.pathname + window.location.search + hash;
+            if (push) {
+                history.pushState({ scrollY: window.scrollY }, '', url);
+            } else {
+                history.replaceState(history.state, '', url);
+            }
+        }
+        
+        function parseRoute() {
+            const params = new URLSearchParams(window.location.hash.slice(1));
+            return {
+                dir: params.get('dir') || null,
+                q: params.get('q') || '',
+                tag: params.get('tag') || null,
+                favorites: params.get('favorites') === '1',
+                groupBy: params.get('groupBy') || 'directory',
+                sort: params.get('sort') || 'name',
+                order: params.get('order') || 'asc',
+                item: params.get('item') || null
+            };
+        }
+        
+        // Make the page match a parsed route (on load and on Back/Forward)
+        async function applyRoute(route) {
+            routeLocked = true;
+            try {
+                if (route.favorites !== showOnlyHearted) toggleHeartFilter();
+                if (route.tag !== activeTag) filterByTag(route.tag);
                 
-                // Create gallery grid for this section
-                const gallery = document.createElement('div');
-                gallery.className = 'gallery';
+                const input = document.getElementById('searchInput');
+                if (input.value.trim() !== route.q) {
+                    input.value = route.q;
+                    runSearch(route.q);
+                }
                 
-                media.forEach(item => {
-                    const galleryItem = document.createElement('div');
-                    galleryItem.className = 'gallery-item';
-                    galleryItem.dataset.relativePath = item.relativePath;
-                    
-                    const heartBtn = document.createElement('button');
-                    heartBtn.className = 'heart-btn';
-                    if (heartedImages.has(item.relativePath)) heartBtn.classList.add('hearted');
-                    heartBtn.innerHTML = '<svg viewBox="0 0 24 24" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78l1.06 1.06L12 21.23l7.78-7.78 1.06-1.06a5.5 5.5 0 0 0 0-7.78z"></path></svg>';
-                    heartBtn.onclick = (e) => { e.stopPropagation(); toggleHeart(item.relativePath, heartBtn); };
-                    galleryItem.appendChild(heartBtn);
-                    
-                    const loader = document.createElement('div');
-                    loader.className = 'loader';
-                    galleryItem.appendChild(loader);
-                    
-                    const img = document.createElement('img');
-                    if (item.thumbnail) {
-                        img.src = item.thumbnail;
-                    } else {
-                        galleryItem.classList.add('loading');
-                        img.classList.add('loading');
-                        img.src = 'data:image/svg+xml,%3Csvg xmlns="http://www.w3.org/2000/svg" width="300" height="200"%3E%3Crect width="300" height="200" fill="%23f0f0f0"/%3E%3C/svg%3E';
-                    }
-                    img.alt = item.name;
-                    img.loading = 'lazy';
-                    galleryItem.appendChild(img);
-                    galleryItem.onclick = () => openModal(item);
-                    gallery.appendChild(galleryItem);
-                    
-                    thumbnailCache.set(item.relativePath, { element: galleryItem, img: img, data: item });
-                });
+                const viewChanged = route.groupBy !== galleryView.groupBy || route.sort !== galleryView.sort ||
+                    route.order !== galleryView.order || route.dir !== activeDirectory;
+                if (viewChanged) {
+                    activeDirectory = route.dir;
+                    updateDirectoryFilter();
+                    changeView({ groupBy: route.groupBy, sort: route.sort, order: route.order });
+                }
                 
-                section.appendChild(gallery);
-                sectionsContainer.appendChild(section);
-            });
+                if (!route.item && currentModalMedia) closeModal();
+            } finally {
+                routeLocked = false;
+            }
             
-            connectSSE();
+            if (route.item) await openRouteItem(route.item);
         }
         
-        function connectSSE() {
-            const eventSource = new EventSource('/progress');
+        async function openRouteItem(relativePath) {
+            if (currentModalMedia && currentModalMedia.relativePath === relativePath) return;
             
-            eventSource.onmessage = (event) => {
-                const data = JSON.parse(event.data);
-                
-                if (data.type === 'request_viewport_items') {
-                    reportViewportItems();
-                }
-                
-                if (data.type === 'thumbnail_paused') {
-                    thumbnailsPaused = data.isPaused;
-                    updatePauseButton();
+            let media = thumbnailCache.has(relativePath) ? thumbnailCache.get(relativePath).data : null;
+            if (!media) {
+                // Not loaded yet: fetch it from its directory listing
+                const separator = Math.max(relativePath.lastIndexOf('/'), relativePath.lastIndexOf('\\\\'));
+                const directory = separator === -1 ? '.' : relativePath.slice(0, separator);
+                try {
+                    const response = await fetch('/api/gallery/dir/' + encodeURIComponent(directory));
+                    if (!response.ok) return;
+                    const data = await response.json();
+                    media = data.items.find(item => item.relativePath === relativePath);
+                } catch (e) {
+                    console.log('Failed to load linked item');
                 }
-                
-                if (data.type === 'tiny_preview_ready' && data.media) {
-                    const cached = thumbnailCache.get(data.media.relativePath);
-                    if (cached && data.media.tinyPreview) {
-                        cached.img.src = data.media.tinyPreview;
-                        cached.img.classList.add('loading');
-                    }
+                if (!media) return;
+            }
+            
+            routeLocked = true;
+            openModal(media);
+            routeLocked = false;
+            revealModalItem();
+        }
+        
+        // Load pages until the open item is part of the list, so previous/next work from a deep link
+        async function revealModalItem() {
+            const media = currentModalMedia;
+            while (currentModalMedia === media && nextCursor &&
+                !modalItems().some(item => item.relativePath === media.relativePath)) {
+                if (isLoadingPage) {
+                    await new Promise(resolve => setTimeout(resolve, 100));
+                } else {
+                    await loadNextPage();
                 }
-                
-                if (data.type === 'thumbnail_ready' && data.media) {
-                    const cached = thumbnailCache.get(data.media.relativePath);
-                    if (cached && data.media.thumbnail) {
-                        cached.img.src = data.media.thumbnail;
-                        cached.img.classList.remove('loading');
-                        cached.element.classList.remove('loading');
-                        cached.data.thumbnail = data.media.thumbnail;
-                    }
+            }
+            if (currentModalMedia === media) updateModalNavigation();
+        }
+        
+        // Load enough pages to reach a saved scroll position, then jump there
+        async function restoreScroll(scrollY) {
+            const sections = document.getElementById('gallerySections');
+            while (nextCursor && sections.offsetHeight < scrollY + window.innerHeight) {
+                if (isLoadingPage) {
+                    await new Promise(resolve => setTimeout(resolve, 100));
+                } else {
+                    await loadNextPage();
                 }
-                
-                if (data.type === 'global_thumbnail_progress') {
-                    const progressBar = document.getElementById('progressBar');
-                    const progressContainer = document.getElementById('progressBarContainer');
-                    const progressText = document.getElementById('progress-text');
-                    const pauseBtn = document.getElementById('pauseBtn');
-                    const rescanBtn = document.getElementById('rescanBtn');
-                    
-                    if (data.isGenerating) {
-                        progressContainer.classList.add('active');
-                        progressBar.style.width = data.progress + '%';
-                        progressText.textContent = 'Generating: ' + data.completed + '/' + data.total + ' (' + data.currentFile + ')';
+            }
+            window.scrollTo(0, scrollY);
+        }
+        
+        window.addEventListener('popstate', () => applyRoute(parseRoute()));
+        if ('scrollRestoration' in history) history.scrollRestoration = 'manual';
+        
+        function getTags(media) {
+            return media.metadata && Array.isArray(media.metadata.tags) ? media.metadata.tags : [];
+        }
+        
+        function createTagChip(tag, onRemove) {
+            const chip = document.createElement('button');
+            chip.className = 'tag-chip';
+            chip.textContent = tag;
+            chip.title = 'Show items tagged "' + tag + '"';
+            chip.onclick = (e) => {
+                e.stopPropagation();
+                if (modal.classList.contains('active')) closeModal();
+                filterByTag(tag);
+            };
+            if (onRemove) {
+                const remove = document.createElement('span');
+                remove.className = 'tag-remove';
+                remove.textContent = '×';
+                remove.title = 'Remove tag';
+                remove.onclick = (e) => { e.stopPropagation(); onRemove(tag); };
+                chip.appendChild(remove);
+            }
+            return chip;
+        }
+        
+        function renderItemTags(item, container) {
+            container.innerHTML = '';
+            getTags(item).forEach(tag => container.appendChild(createTagChip(tag)));
+        }
+        
+        function formatFileSize(bytes) {
+            if (bytes < 1024) return bytes + ' B';
+            if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(1) + ' KB';
+            if (bytes < 1024 * 1024 * 1024) return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
+            return (bytes / (1024 * 1024 * 1024)).toFixed(2) + ' GB';
+        }
+        
+        function formatExposure(exif) {
+            const parts = [];
+            if (exif.exposureTime) {
+                parts.push(exif.exposureTime >= 1 ? exif.exposureTime + 's' : '1/' + Math.round(1 / exif.exposureTime) + 's');
+            }
+            if (exif.fNumber) parts.push('f/' + exif.fNumber);
+            if (exif.iso) parts.push('ISO ' + exif.iso);
+            return parts.join(' · ');
+        }
+        
+        // Video duration as m:ss, or h:mm:ss for long videos
+        function formatDuration(seconds) {
+            const total = Math.round(seconds);
+            const hours = Math.floor(total / 3600);
+            const minutes = Math.floor((total % 3600) / 60);
+            const secs = String(total % 60).padStart(2, '0');
+            return hours > 0 ? hours + ':' + String(minutes).padStart(2, '0') + ':' + secs : minutes + ':' + secs;
+        }
+        
+        function renderInfoPanel() {
+            const panel = document.getElementById('infoPanel');
+            panel.innerHTML = '';
+            if (!currentModalMedia) return;
+            
+            const media = modalDisplayedMedia();
+            const exif = media.exif || {};
+            const title = document.createElement('h3');
+            title.textContent = media.name;
+            panel.appendChild(title);
+            
+            const addRow = (label, value) => {
+                if (!value) return;
+                const row = document.createElement('div');
+                row.className = 'info-row';
+                const labelEl = document.createElement('div');
+                labelEl.className = 'info-label';
+                labelEl.textContent = label;
+                const valueEl = document.createElement('div');
+                valueEl.className = 'info-value';
+                if (value instanceof Node) {
+                    valueEl.appendChild(value);
+                } else {
+                    valueEl.textContent = value;
+                }
+                row.appendChild(labelEl);
+                row.appendChild(valueEl);
+                panel.appendChild(row);
+            };
+            
+            // EXIF times are the camera's wall-clock time, stored without a zone
+            if (exif.capturedAt) addRow('Captured', new Date(exif.capturedAt).toLocaleString(undefined, { timeZone: 'UTC' }));
+            addRow('Camera', [exif.cameraMake, exif.cameraModel].filter(Boolean).join(' '));
+            addRow('Lens', exif.lens);
+            addRow('Exposure', formatExposure(exif));
+            if (exif.focalLength) {
+                addRow('Focal length', exif.focalLength + 'mm' + (exif.focalLength35mm ? ' (' + exif.focalLength35mm + 'mm equiv.)' : ''));
+            }
+            if (exif.width && exif.height) addRow('Dimensions', exif.width + ' × ' + exif.height);
+            if (exif.frames) addRow('Frames', exif.frames);
+            if (exif.gps) {
+                const link = document.createElement('a');
+                link.href = 'https://www.openstreetmap.org/?mlat=' + exif.gps.latitude + '&mlon=' + exif.gps.longitude + '#map=15/' + exif.gps.latitude + '/' + exif.gps.longitude;
+                link.target = '_blank';
+                link.rel = 'noopener';
+                link.textContent = exif.gps.latitude.toFixed(5) + ', ' + exif.gps.longitude.toFixed(5);
+                addRow('Location', link);
+                if (typeof exif.gps.altitude === 'number') addRow('Altitude', Math.round(exif.gps.altitude) + ' m');
+            }
+            if (exif.keywords && exif.keywords.length > 0) addRow('Keywords', exif.keywords.join(', '));
+            if (media.video) {
+                const video = media.video;
+                if (video.duration) addRow('Duration', formatDuration(video.duration));
+                if (video.width && video.height) addRow('Resolution', video.width + ' × ' + video.height);
+                addRow('Codec', [video.codec, video.audioCodec].filter(Boolean).join(' / '));
+                if (video.frameRate) addRow('Frame rate', video.frameRate + ' fps');
+                if (video.bitRate) addRow('Bit rate', (video.bitRate / 1000000).toFixed(1) + ' Mbit/s');
+            }
+            addRow('Size', formatFileSize(media.size));
+            addRow('Modified', new Date(media.modified).toLocaleString());
+            addRow('Path', media.relativePath);
+        }
+        
+        function toggleInfoPanel() {
+            const panel = document.getElementById('infoPanel');
+            const active = !panel.classList.contains('active');
+            panel.classList.toggle('active', active);
+            document.getElementById('infoBtn').classList.toggle('active', active);
+            localStorage.setItem('showInfoPanel', active ? '1' : '');
+            if (active) renderInfoPanel();
+        }
+        
+        function renderModalTags() {
+            const list = document.getElementById('modalTags');
+            list.innerHTML = '';
+            if (!currentModalMedia) return;
+            getTags(currentModalMedia).forEach(tag => {
+                list.appendChild(createTagChip(tag, removeTag));
+            });
+            updateTagSuggestions();
+        }
+        
+        async function loadTags() {
+            try {
+                const response = await fetch('/api/tags');
+                const data = await response.json();
+                allTags = data.tags;
+                updateTagSuggestions();
+            } catch (e) {
+                console.log('Failed to load tags');
+            }
+        }
+        
+        function updateTagSuggestions() {
+            const datalist = document.getElementById('tagSuggestions');
+            const current = currentModalMedia ? getTags(currentModalMedia).map(tag => tag.toLowerCase()) : [];
+            datalist.innerHTML = '';
+            allTags.forEach(entry => {
+                if (current.includes(entry.tag.toLowerCase())) return;
+                const option = document.createElement('option');
+                option.value = entry.tag;
+                datalist.appendChild(option);
+            });
+        }
+        
+        async function saveTags(media, tags) {
+            try {
+                const response = await fetch('/api/metadata/' + encodeURIComponent(media.relativePath), {
+                    method: 'PATCH',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ tags })
+                });
+                if (!response.ok) throw new Error('Failed to save tags');
+                media.metadata = await response.json();
+            } catch (e) {
+                console.log('Failed to save tags');
+            }
+            const cached = thumbnailCache.get(media.relativePath);
+            if (cached && cached.element) {
+                const container = cached.element.querySelector('.item-tags');
+                if (container) renderItemTags(media, container);
+            }
+            if (currentModalMedia === media) renderModalTags();
+            if (activeTag) applyFilters();
+            loadTags();
+        }
+        
+        function addTag(tag) {
+            if (!currentModalMedia) return;
+            const tags = getTags(currentModalMedia);
+            // Reuse the existing spelling of a tag already in use elsewhere
+            const existing = allTags.find(entry => entry.tag.toLowerCase() === tag.toLowerCase());
+            const value = existing ? existing.tag : tag;
+            if (tags.some(t => t.toLowerCase() === value.toLowerCase())) return;
+            saveTags(currentModalMedia, tags.concat(value));
+        }
+        
+        function removeTag(tag) {
+            if (!currentModalMedia) return;
+            saveTags(currentModalMedia, getTags(currentModalMedia).filter(t => t !== tag));
+        }
+        
+        function galleryUrl(cursor) {
+            return '/api/gallery?groupBy=' + galleryView.groupBy + '&sort=' + galleryView.sort + '&order=' + galleryView.order +
+                (activeDirectory ? '&dir=' + encodeURIComponent(activeDirectory) : '') +
+                '&limit=' + PAGE_SIZE + (cursor ? '&cursor=' + encodeURIComponent(cursor) : '');
+        }
+        
+        function formatGroupTitle(key, groupBy) {
+            switch (groupBy) {
+                case 'directory':
+                    return key === '.' ? 'Root' : key;
+                case 'day':
+                    return new Date(key + 'T00:00:00').toLocaleDateString(undefined, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+                case 'month':
+                    return new Date(key + '-01T00:00:00').toLocaleDateString(undefined, { year: 'numeric', month: 'long' });
+                case 'none':
+                    return 'All media';
+                default:
+                    return key;
+            }
+        }
+        
+        function updateViewControls() {
+            document.getElementById('groupBySelect').value = galleryView.groupBy;
+            document.getElementById('sortSelect').value = galleryView.sort;
+            const orderBtn = document.getElementById('orderBtn');
+            orderBtn.textContent = galleryView.order === 'desc' ? '↓' : '↑';
+            orderBtn.title = galleryView.order === 'desc' ? 'Descending' : 'Ascending';
+        }
+        
+        async function loadGallery() {
+            const route = parseRoute();
+            // Views in the URL win over the one remembered in localStorage
+            if (window.location.hash) {
+                galleryView = { groupBy: route.groupBy, sort: route.sort, order: route.order };
+            }
+            activeDirectory = route.dir;
+            updateDirectoryFilter();
+            updateViewControls();
+            let response = await fetch(galleryUrl());
+            if (response.status === 400) {
+                // Saved view from an older version; fall back to the defaults
+                galleryView = { groupBy: 'directory', sort: 'name', order: 'asc' };
+                activeDirectory = null;
+                updateDirectoryFilter();
+                localStorage.removeItem('galleryView');
+                updateViewControls();
+                response = await fetch(galleryUrl());
+            }
+            const data = await response.json();
+            totalMediaCount = data.totalImages;
+            hlsStreaming = !!data.hlsStreaming;
+            document.getElementById('gallery-info').textContent = 'Found ' + data.totalImages + ' media files';
+            document.getElementById('gallery-path').textContent = data.scanDirectory;
+            
+            resetGallery();
+            appendGalleryPage(data);
+            
+            migrateLocalHearts();
+            loadTags();
+            connectSSE();
+            
+            await applyRoute(route);
+            if (!route.item && history.state && history.state.scrollY) {
+                await restoreScroll(history.state.scrollY);
+            }
+            maybeLoadMore();
+        }
+        
+        async function changeView(changes) {
+            Object.assign(galleryView, changes);
+            localStorage.setItem('galleryView', JSON.stringify(galleryView));
+            updateViewControls();
+            updateRoute();
+            
+            const requestId = ++viewRequestId;
+            try {
+                const response = await fetch(galleryUrl());
+                const data = await response.json();
+                // A newer selection was made while this one was loading
+                if (requestId !== viewRequestId || !response.ok) return;
+                resetGallery();
+                appendGalleryPage(data);
+                applyFilters();
+                reportViewportItems();
+                maybeLoadMore();
+            } catch (e) {
+                console.log('Failed to reload gallery');
+            }
+        }
+        
+        // Fetch the page after the last loaded item
+        async function loadNextPage() {
+            if (!nextCursor || isLoadingPage) return;
+            isLoadingPage = true;
+            const requestId = viewRequestId;
+            let loaded = false;
+            
+            try {
+                const response = await fetch(galleryUrl(nextCursor));
+                const data = await response.json();
+                if (requestId !== viewRequestId) return;
+                if (!response.ok) {
+                    // The item the cursor points at is gone; reload from the first page
+                    changeView({});
+                    return;
+                }
+                if (reloadAfterExif && !data.exifPending) {
+                    reloadView();
+                    return;
+                }
+                appendGalleryPage(data);
+                applyFilters();
+                reportViewportItems();
+                loaded = true;
+            } catch (e) {
+                console.log('Failed to load more media');
+            } finally {
+                isLoadingPage = false;
+            }
+            
+            if (loaded) maybeLoadMore();
+        }
+        
+        // Capture-date and camera views are ordered by photo information the server may still be
+        // reading. Items move once it is complete, so the pages loaded before can miss some of them.
+        function viewUsesExif() {
+            return galleryView.sort === 'captured' || ['day', 'month', 'year', 'camera'].includes(galleryView.groupBy);
+        }
+        
+        async function reloadView() {
+            const scrollY = window.scrollY;
+            await changeView({});
+            await restoreScroll(scrollY);
+        }
+        
+        // Load the next page once the end of the loaded sections comes within reach
+        function maybeLoadMore() {
+            if (!nextCursor) return;
+            const rect = document.getElementById('loadMore').getBoundingClientRect();
+            if (rect.top < window.innerHeight + 1000) {
+                loadNextPage();
+            }
+        }
+        
+        window.addEventListener('scroll', maybeLoadMore, { passive: true });
+        
+        function changeGrouping(groupBy) {
+            // Timelines read best in capture order, so leave name sorting when switching to dates
+            const isDateGroup = groupBy === 'day' || groupBy === 'month' || groupBy === 'year';
+            changeView(isDateGroup && galleryView.sort === 'name' ? { groupBy, sort: 'captured' } : { groupBy });
+        }
+        
+        function changeSort(sort) {
+            changeView({ sort });
+        }
+        
+        function toggleSortOrder() {
+            changeView({ order: galleryView.order === 'desc' ? 'asc' : 'desc' });
+        }
+        
+        function resetGallery() {
+            document.getElementById('gallerySections').innerHTML = '';
+            thumbnailCache.clear();
+            mountedItems.clear();
+            mountedTitles.clear();
+            gallerySectionModels = [];
+            heartedImages = new Set();
+            nextCursor = null;
+            reloadAfterExif = false;
+        }
+        
+        // Add one page of items, continuing the last section when a group spans pages
+        function appendGalleryPage(data) {
+            nextCursor = data.nextCursor;
+            if (data.exifPending && data.nextCursor && viewUsesExif()) reloadAfterExif = true;
+            loadHearts(data.galleries);
+            
+            const groupKeys = data.groupOrder || Object.keys(data.galleries).sort();
+            groupKeys.forEach(key => {
+                let section = gallerySectionModels.find(model => model.key === key);
+                if (!section) {
+                    section = {
+                        key,
+                        title: formatGroupTitle(key, data.groupBy),
+                        count: data.groupBy !== 'directory' && data.groupCounts ? data.groupCounts[key] : null,
+                        directory: data.groupBy === 'directory' ? key : null,
+                        items: []
+                    };
+                    gallerySectionModels.push(section);
+                }
+                data.galleries[key].forEach(item => {
+                    section.items.push(item);
+                    thumbnailCache.set(item.relativePath, { element: null, img: null, data: item });
+                });
+            });
+            
+            layoutGallery();
+            document.getElementById('loadMore').classList.toggle('active', !!nextCursor);
+        }
+        
+        // Grouping and sorting as in grouping.js, to place items pushed by the file watcher
+        function itemCaptureDate(item) {
+            if (item.exif && item.exif.capturedAt) return item.exif.capturedAt;
+            const modified = new Date(item.modified);
+            const pad = value => String(value).padStart(2, '0');
+            return modified.getFullYear() + '-' + pad(modified.getMonth() + 1) + '-' + pad(modified.getDate()) +
+                'T' + pad(modified.getHours()) + ':' + pad(modified.getMinutes()) + ':' + pad(modified.getSeconds());
+        }
+        
+        function itemGroupKey(item) {
+            switch (galleryView.groupBy) {
+                case 'day': return itemCaptureDate(item).slice(0, 10);
+                case 'month': return itemCaptureDate(item).slice(0, 7);
+                case 'year': return itemCaptureDate(item).slice(0, 4);
+                case 'camera': {
+                    const make = item.exif && item.exif.cameraMake;
+                    const model = item.exif && item.exif.cameraModel;
+                    if (!make && !model) return 'Unknown camera';
+                    if (!make) return model;
+                    if (!model) return make;
+                    return model.toLowerCase().startsWith(make.toLowerCase()) ? model : make + ' ' + model;
+                }
+                case 'none': return 'all';
+                default: return item.directory;
+            }
+        }
+        
+        function compareGroupKeys(a, b) {
+            if (galleryView.groupBy === 'directory' || galleryView.groupBy === 'camera') {
+                if (a === b) return 0;
+                if (a === 'Unknown camera') return 1;
+                if (b === 'Unknown camera') return -1;
+                return a.localeCompare(b);
+            }
+            return (galleryView.order === 'desc' ? -1 : 1) * a.localeCompare(b);
+        }
+        
+        function compareGalleryItems(a, b) {
+            let result;
+            switch (galleryView.sort) {
+                case 'mtime': result = Date.parse(a.modified) - Date.parse(b.modified); break;
+                case 'captured': result = itemCaptureDate(a).localeCompare(itemCaptureDate(b)); break;
+                case 'size': result = a.size - b.size; break;
+                default: result = a.name.localeCompare(b.name, undefined, { numeric: true, sensitivity: 'base' });
+            }
+            return (galleryView.order === 'desc' ? -1 : 1) * (result || a.relativePath.localeCompare(b.relativePath));
+        }
+        
+        // Section titles show the item count, so they are rebuilt when it changes
+        function refreshSectionTitle(section) {
+            const title = mountedTitles.get(section.key);
+            if (title) {
+                title.remove();
+                mountedTitles.delete(section.key);
+            }
+        }
+        
+        // Add an item to its section in display order. Items outside the directory filter,
+        // or after the last loaded item while more pages remain, are left to the page loads.
+        function insertGalleryItem(item) {
+            if (activeDirectory && item.directory !== activeDirectory && !item.directory.startsWith(activeDirectory + '/')) return;
+            
+            const key = itemGroupKey(item);
+            let section = gallerySectionModels.find(model => model.key === key);
+            if (!section) {
+                const index = gallerySectionModels.findIndex(model => compareGroupKeys(model.key, key) > 0);
+                if (index === -1 && nextCursor) return;
+                section = {
+                    key,
+                    title: formatGroupTitle(key, galleryView.groupBy),
+                    count: galleryView.groupBy !== 'directory' ? 0 : null,
+                    directory: galleryView.groupBy === 'directory' ? key : null,
+                    items: []
+                };
+                gallerySectionModels.splice(index === -1 ? gallerySectionModels.length : index, 0, section);
+            }
+            
+            const position = section.items.findIndex(other => compareGalleryItems(other, item) > 0);
+            if (position === -1 && nextCursor && section === gallerySectionModels[gallerySectionModels.length - 1]) return;
+            section.items.splice(position === -1 ? section.items.length : position, 0, item);
+            if (section.count !== null) {
+                section.count++;
+                refreshSectionTitle(section);
+            }
+            
+            thumbnailCache.set(item.relativePath, { element: null, img: null, data: item });
+            if (item.metadata && item.metadata.favorite) heartedImages.add(item.relativePath);
+        }
+        
+        function removeGalleryItem(relativePath) {
+            const cached = thumbnailCache.get(relativePath);
+            if (!cached) return;
+            if (cached.element) cached.element.remove();
+            thumbnailCache.delete(relativePath);
+            mountedItems.delete(relativePath);
+            heartedImages.delete(relativePath);
+            
+            const section = gallerySectionModels.find(model => model.items.includes(cached.data));
+            if (!section) return;
+            section.items = section.items.filter(item => item !== cached.data);
+            if (section.count !== null) section.count--;
+            refreshSectionTitle(section);
+            if (section.items.length === 0) {
+                gallerySectionModels = gallerySectionModels.filter(model => model !== section);
+            }
+        }
+        
+        function updateMediaCount(delta) {
+            totalMediaCount += delta;
+            if (!searchMatches) {
+                document.getElementById('gallery-info').textContent = 'Found ' + totalMediaCount + ' media files';
+            }
+        }
+        
+        function columnCount() {
+            if (window.innerWidth <= 600) return 2;
+            if (window.innerWidth <= 900) return 3;
+            if (window.innerWidth <= 1200) return 4;
+            return 5;
+        }
+        
+        // Height/width ratio used to size an item before its thumbnail has loaded
+        function itemAspect(item) {
+            const size = item.exif || item.video;
+            if (size && size.width && size.height) {
+                return Math.min(Math.max(size.height / size.width, 0.4), 2.5);
+            }
+            return item.type === 'video' ? 2 / 3 : 3 / 4;
+        }
+        
+        // Masonry placement of every visible (filtered) item: each item goes into the
+        // shortest column, sections are stacked with a header above each one
+        function layoutGallery() {
+            const container = document.getElementById('gallerySections');
+            const columns = columnCount();
+            const width = container.clientWidth;
+            const columnWidth = (width - ITEM_GAP * (columns - 1)) / columns;
+            const sections = [];
+            let y = 0;
+            
+            gallerySectionModels.forEach(model => {
+                const items = model.items.filter(item => matchesFilters(item.relativePath));
+                if (items.length === 0) return;
+                
+                const top = y;
+                const columnHeights = new Array(columns).fill(0);
+                const boxes = items.map(item => {
+                    let column = 0;
+                    for (let i = 1; i < columns; i++) {
+                        if (columnHeights[i] < columnHeights[column]) column = i;
+                    }
+                    const height = Math.round(columnWidth * itemAspect(item));
+                    const box = {
+                        item,
+                        left: column * (columnWidth + ITEM_GAP),
+                        top: top + SECTION_HEADER_HEIGHT + columnHeights[column],
+                        width: columnWidth,
+                        height
+                    };
+                    columnHeights[column] += height + ITEM_GAP;
+                    return box;
+                });
+                
+                const bottom = top + SECTION_HEADER_HEIGHT + Math.max(...columnHeights) - ITEM_GAP;
+                sections.push({ model, top, bottom, boxes });
+                y = bottom + SECTION_GAP;
+            });
+            
+            galleryLayout = { sections, columns, width };
+            container.style.height = Math.max(y - SECTION_GAP, 0) + 'px';
+            renderVisibleItems();
+        }
+        
+        // Mount items and section titles within VIRTUAL_OVERSCAN of the viewport, unmount the rest
+        function renderVisibleItems() {
+            const container = document.getElementById('gallerySections');
+            const offset = container.getBoundingClientRect().top;
+            const viewTop = -offset - VIRTUAL_OVERSCAN;
+            const viewBottom = -offset + window.innerHeight + VIRTUAL_OVERSCAN;
+            const wantedItems = new Set();
+            const wantedTitles = new Set();
+            
+            galleryLayout.sections.forEach(section => {
+                if (section.bottom < viewTop || section.top > viewBottom) return;
+                
+                wantedTitles.add(section.model.key);
+                mountTitle(container, section);
+                
+                section.boxes.forEach(box => {
+                    if (box.top + box.height < viewTop || box.top > viewBottom) return;
+                    wantedItems.add(box.item.relativePath);
+                    mountItem(container, box);
+                });
+            });
+            
+            mountedItems.forEach((box, relativePath) => {
+                if (wantedItems.has(relativePath)) return;
+                const cached = thumbnailCache.get(relativePath);
+                if (cached && cached.element) {
+                    cached.element.remove();
+                    cached.element = null;
+                    cached.img = null;
+                }
+                mountedItems.delete(relativePath);
+            });
+            mountedTitles.forEach((title, key) => {
+                if (wantedTitles.has(key)) return;
+                title.remove();
+                mountedTitles.delete(key);
+            });
+        }
+        
+        function mountTitle(container, section) {
+            let title = mountedTitles.get(section.model.key);
+            if (!title) {
+                title = document.createElement('div');
+                title.className = 'section-title';
+                title.textContent = section.model.title;
+                if (section.model.count) {
+                    const countLabel = document.createElement('span');
+                    countLabel.className = 'section-count';
+                    countLabel.textContent = section.model.count;
+                    title.appendChild(countLabel);
+                }
+                if (section.model.directory && section.model.directory !== activeDirectory) {
+                    title.classList.add('clickable');
+                    title.title = 'Show only this folder';
+                    title.onclick = () => filterByDirectory(section.model.directory);
+                }
+                container.appendChild(title);
+                mountedTitles.set(section.model.key, title);
+            }
+            title.style.top = section.top + 'px';
+        }
+        
+        function mountItem(container, box) {
+            const cached = thumbnailCache.get(box.item.relativePath);
+            if (!cached) return;
+            if (!cached.element) {
+                container.appendChild(createGalleryItem(box.item));
+            }
+            const style = cached.element.style;
+            style.left = box.left + 'px';
+            style.top = box.top + 'px';
+            style.width = box.width + 'px';
+            style.height = box.height + 'px';
+            
+            // Thumbnail size tiers are measured along the longest side
+            const sizes = Math.ceil(Math.max(box.width, box.height)) + 'px';
+            if (cached.img.sizes !== sizes) {
+                cached.img.sizes = sizes;
+                cached.img.parentNode.querySelectorAll('source').forEach(source => { source.sizes = sizes; });
+            }
+            mountedItems.set(box.item.relativePath, box);
+        }
+        
+        function scheduleRender() {
+            if (renderFrame) return;
+            renderFrame = requestAnimationFrame(() => {
+                renderFrame = null;
+                renderVisibleItems();
+            });
+        }
+        
+        window.addEventListener('scroll', scheduleRender, { passive: true });
+        
+        let resizeTimeout;
+        window.addEventListener('resize', () => {
+            clearTimeout(resizeTimeout);
+            resizeTimeout = setTimeout(() => {
+                const container = document.getElementById('gallerySections');
+                if (columnCount() !== galleryLayout.columns || container.clientWidth !== galleryLayout.width) {
+                    layoutGallery();
+                }
+                reportViewportItems();
+                maybeLoadMore();
+            }, 150);
+        });
+        
+        // Parsed WebVTT thumbnail tracks (sprite sheets of videos), by track URL
+        const spriteTracks = new Map();
+        
+        function parseVttTime(value) {
+            return value.split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+        }
+        
+        // Cues of a thumbnails track: { start, end, url, x, y, w, h }, plus the sheet size
+        function parseSpriteTrack(text) {
+            const cues = [];
+            text.split(/\\r?\\n\\r?\\n/).forEach(block => {
+                const lines = block.trim().split(/\\r?\\n/);
+                const timing = lines.findIndex(line => line.includes('-->'));
+                if (timing === -1 || !lines[timing + 1]) return;
+                const times = lines[timing].match(/(\\S+)\\s+-->\\s+(\\S+)/);
+                const region = lines[timing + 1].match(/^(.*)#xywh=(\\d+),(\\d+),(\\d+),(\\d+)$/);
+                if (!times || !region) return;
+                cues.push({
+                    start: parseVttTime(times[1]),
+                    end: parseVttTime(times[2]),
+                    url: region[1],
+                    x: +region[2], y: +region[3], w: +region[4], h: +region[5]
+                });
+            });
+            if (cues.length === 0) return null;
+            return {
+                cues,
+                duration: cues[cues.length - 1].end,
+                sheetWidth: Math.max(...cues.map(cue => cue.x + cue.w)),
+                sheetHeight: Math.max(...cues.map(cue => cue.y + cue.h))
+            };
+        }
+        
+        function loadSpriteTrack(url) {
+            if (!spriteTracks.has(url)) {
+                spriteTracks.set(url, fetch(url)
+                    .then(response => response.ok ? response.text() : Promise.reject(new Error('HTTP ' + response.status)))
+                    .then(parseSpriteTrack)
+                    .catch(() => {
+                        // Allow a retry on the next hover
+                        spriteTracks.delete(url);
+                        return null;
+                    }));
+            }
+            return spriteTracks.get(url);
+        }
+        
+        // Show the sprite frame for a time in an element of the given size, scaled to cover it
+        function showSpriteFrame(element, track, time, width, height) {
+            const cue = track.cues.find(cue => time < cue.end) || track.cues[track.cues.length - 1];
+            const scale = Math.max(width / cue.w, height / cue.h);
+            element.style.backgroundImage = 'url("' + cue.url + '")';
+            element.style.backgroundSize = (track.sheetWidth * scale) + 'px ' + (track.sheetHeight * scale) + 'px';
+            element.style.backgroundPosition = (-cue.x * scale + (width - cue.w * scale) / 2) + 'px ' +
+                (-cue.y * scale + (height - cue.h * scale) / 2) + 'px';
+        }
+        
+        // Hovering (or dragging a finger) across a video tile scrubs through its sprite sheet
+        function attachScrubPreview(galleryItem, item) {
+            const preview = document.createElement('div');
+            preview.className = 'scrub-preview';
+            const progress = document.createElement('div');
+            progress.className = 'scrub-progress';
+            preview.appendChild(progress);
+            galleryItem.appendChild(preview);
+            
+            let scrubbing = false;
+            const scrub = async (clientX) => {
+                if (!item.sprite) return;
+                scrubbing = true;
+                const track = await loadSpriteTrack(item.sprite);
+                if (!track || !scrubbing) return;
+                const rect = galleryItem.getBoundingClientRect();
+                const fraction = Math.min(Math.max((clientX - rect.left) / rect.width, 0), 1);
+                showSpriteFrame(preview, track, fraction * track.duration, rect.width, rect.height);
+                progress.style.width = (fraction * 100) + '%';
+                preview.classList.add('active');
+            };
+            const stop = () => {
+                scrubbing = false;
+                preview.classList.remove('active');
+            };
+            
+            galleryItem.addEventListener('mousemove', (e) => scrub(e.clientX));
+            galleryItem.addEventListener('mouseleave', stop);
+            galleryItem.addEventListener('touchmove', (e) => scrub(e.touches[0].clientX), { passive: true });
+            galleryItem.addEventListener('touchend', stop);
+            galleryItem.addEventListener('touchcancel', stop);
+        }
+        
+        // Hovering (or touching) an animated image plays its animated preview over the
+        // still thumbnail. The preview is only loaded then, and dropped again afterwards so
+        // it starts over on the next hover and idle tiles don't keep decoding frames.
+        function attachAnimatedPreview(galleryItem, item) {
+            let preview = null;
+            const play = () => {
+                if (!item.animatedPreview || preview) return;
+                preview = document.createElement('img');
+                preview.className = 'animated-preview';
+                preview.alt = '';
+                preview.src = item.animatedPreview;
+                galleryItem.appendChild(preview);
+            };
+            const stop = () => {
+                if (!preview) return;
+                preview.remove();
+                preview = null;
+            };
+            
+            galleryItem.addEventListener('mouseenter', play);
+            galleryItem.addEventListener('mouseleave', stop);
+            galleryItem.addEventListener('touchstart', play, { passive: true });
+            galleryItem.addEventListener('touchend', stop);
+            galleryItem.addEventListener('touchcancel', stop);
+        }
+        
+        function createGalleryItem(item) {
+            const galleryItem = document.createElement('div');
+            galleryItem.className = 'gallery-item';
+            galleryItem.dataset.relativePath = item.relativePath;
+            
+            const heartBtn = document.createElement('button');
+            heartBtn.className = 'heart-btn';
+            if (heartedImages.has(item.relativePath)) heartBtn.classList.add('hearted');
+            heartBtn.innerHTML = '<svg viewBox="0 0 24 24" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78l1.06 1.06L12 21.23l7.78-7.78 1.06-1.06a5.5 5.5 0 0 0 0-7.78z"></path></svg>';
+            heartBtn.onclick = (e) => { e.stopPropagation(); toggleHeart(item.relativePath, heartBtn); };
+            galleryItem.appendChild(heartBtn);
+            
+            if (item.type === 'video') {
+                const videoBadge = document.createElement('div');
+                videoBadge.className = 'video-badge';
+                videoBadge.textContent = item.video && item.video.duration ? '▶ ' + formatDuration(item.video.duration) : '▶';
+                galleryItem.appendChild(videoBadge);
+                attachScrubPreview(galleryItem, item);
+            }
+            if (item.rawVersion || item.raw) {
+                const formatBadge = document.createElement('div');
+                formatBadge.className = 'format-badge';
+                formatBadge.textContent = item.rawVersion ? 'RAW+JPEG' : 'RAW';
+                galleryItem.appendChild(formatBadge);
+            }
+            if (item.animated) {
+                const formatBadge = document.createElement('div');
+                formatBadge.className = 'format-badge';
+                formatBadge.textContent = 'ANIMATED';
+                galleryItem.appendChild(formatBadge);
+                attachAnimatedPreview(galleryItem, item);
+            }
+            
+            const itemTags = document.createElement('div');
+            itemTags.className = 'item-tags';
+            renderItemTags(item, itemTags);
+            galleryItem.appendChild(itemTags);
+            
+            const loader = document.createElement('div');
+            loader.className = 'loader';
+            galleryItem.appendChild(loader);
+            
+            const picture = document.createElement('picture');
+            const img = document.createElement('img');
+            picture.appendChild(img);
+            if (item.thumbnail) {
+                setThumbnailSources(img, item);
+            } else {
+                galleryItem.classList.add('loading');
+                img.classList.add('loading');
+                img.src = 'data:image/svg+xml,%3Csvg xmlns="http://www.w3.org/2000/svg" width="300" height="200"%3E%3Crect width="300" height="200" fill="%23f0f0f0"/%3E%3C/svg%3E';
+            }
+            img.alt = item.name;
+            img.loading = 'lazy';
+            galleryItem.appendChild(picture);
+            galleryItem.onclick = () => openModal(item);
+            
+            const cached = thumbnailCache.get(item.relativePath);
+            cached.element = galleryItem;
+            cached.img = img;
+            return galleryItem;
+        }
+        
+        // One <source> per modern format in front of the JPEG fallback, so the browser picks
+        // the best format it supports and the size tier that matches the tile (see mountItem)
+        function setThumbnailSources(img, item) {
+            const picture = img.parentNode;
+            const srcset = item.thumbnailSrcset || {};
+            picture.querySelectorAll('source').forEach(source => source.remove());
+            
+            Object.keys(srcset).forEach(format => {
+                if (format === 'jpeg') return;
+                const source = document.createElement('source');
+                source.type = 'image/' + format;
+                source.srcset = srcset[format];
+                source.sizes = img.sizes;
+                picture.insertBefore(source, img);
+            });
+            img.srcset = srcset.jpeg || '';
+            img.src = item.thumbnail;
+        }
+        
+        function connectSSE() {
+            const eventSource = new EventSource('/progress');
+            
+            eventSource.onmessage = (event) => {
+                const data = JSON.parse(event.data);
+                
+                if (data.type === 'request_viewport_items') {
+                    reportViewportItems();
+                }
+                
+                if (data.type === 'thumbnail_paused') {
+                    thumbnailsPaused = data.isPaused;
+                    updatePauseButton();
+                }
+                
+                if (data.type === 'tiny_preview_ready' && data.media) {
+                    const cached = thumbnailCache.get(data.media.relativePath);
+                    if (cached && cached.img && data.media.tinyPreview) {
+                        cached.img.src = data.media.tinyPreview;
+                        cached.img.classList.add('loading');
+                    }
+                }
+                
+                if (data.type === 'hls_progress' && currentModalMedia && currentModalMedia.relativePath === data.relativePath) {
+                    if (data.status === 'ready') {
+                        playHlsStream(currentModalMedia, data.playlist);
+                    } else {
+                        showHlsProgress(data);
+                    }
+                }
+                
+                if (data.type === 'item_added' && data.item) {
+                    insertGalleryItem(data.item);
+                    updateMediaCount(1);
+                    layoutGallery();
+                    reportViewportItems();
+                }
+                
+                if (data.type === 'item_removed') {
+                    removeGalleryItem(data.relativePath);
+                    updateMediaCount(-1);
+                    layoutGallery();
+                    if (currentModalMedia && currentModalMedia.relativePath === data.relativePath) {
+                        closeModal();
+                    } else if (currentModalMedia) {
+                        updateModalNavigation();
+                    }
+                }
+                
+                if (data.type === 'item_changed' && data.item) {
+                    removeGalleryItem(data.item.relativePath);
+                    insertGalleryItem(data.item);
+                    layoutGallery();
+                    reportViewportItems();
+                }
+                
+                // Photo information read after the gallery loaded. Capture date, camera and size
+                // can move an item to another group or place, so it is inserted again.
+                if (data.type === 'exif_ready' && data.items) {
+                    let changed = false;
+                    data.items.forEach(update => {
+                        const cached = thumbnailCache.get(update.relativePath);
+                        if (!cached) return;
+                        const item = { ...cached.data, exif: update.exif, animated: update.animated };
+                        removeGalleryItem(update.relativePath);
+                        insertGalleryItem(item);
+                        changed = true;
+                    });
+                    if (changed) {
+                        layoutGallery();
+                        reportViewportItems();
+                    }
+                    if (data.done && reloadAfterExif) reloadView();
+                }
+                
+                if (data.type === 'sprite_ready') {
+                    const cached = thumbnailCache.get(data.relativePath);
+                    if (cached) cached.data.sprite = data.sprite;
+                }
+                
+                if (data.type === 'thumbnail_ready' && data.media) {
+                    const cached = thumbnailCache.get(data.media.relativePath);
+                    if (cached && data.media.thumbnail) {
+                        cached.data.thumbnail = data.media.thumbnail;
+                        cached.data.thumbnailSrcset = data.media.thumbnailSrcset;
+                        cached.data.thumbnailReady = data.media.thumbnailReady;
+                        if (data.media.animated) cached.data.animatedPreview = data.media.animatedPreview;
+                        if (cached.element) {
+                            setThumbnailSources(cached.img, cached.data);
+                            cached.img.classList.remove('loading');
+                            cached.element.classList.remove('loading');
+                        }
+                    }
+                }
+                
+                if (data.type === 'global_thumbnail_progress') {
+                    const progressBar = document.getElementById('progressBar');
+                    const progressContainer = document.getElementById('progressBarContainer');
+                    const progressText = document.getElementById('progress-text');
+                    const pauseBtn = document.getElementById('pauseBtn');
+                    const rescanBtn = document.getElementById('rescanBtn');
+                    
+                    if (data.isGenerating) {
+                        progressContainer.classList.add('active');
+                        progressBar.style.width = data.progress + '%';
+                        progressText.textContent = 'Generating: ' + data.completed + '/' + data.total + ' (' + data.currentFile + ')';
                         pauseBtn.style.display = '';
                         rescanBtn.style.display = 'none';
                     } else {
@@ -1309,15 +3789,17 @@ async function generateIndexHTML() {
             };
         }
         
+        // Only mounted items can be near the viewport, so there is no need to walk the whole gallery
         function reportViewportItems() {
             const viewportItems = [];
-            document.querySelectorAll('.gallery-item').forEach(item => {
-                const rect = item.getBoundingClientRect();
-                const isVisible = rect.top < window.innerHeight + 500 && rect.bottom > -500;
-                if (isVisible && item.dataset.relativePath) {
-                    const cached = thumbnailCache.get(item.dataset.relativePath);
-                    if (cached && !cached.data.thumbnail) {
-                        viewportItems.push(item.dataset.relativePath);
+            const offset = document.getElementById('gallerySections').getBoundingClientRect().top;
+            mountedItems.forEach((box, relativePath) => {
+                const top = box.top + offset;
+                const isVisible = top < window.innerHeight + 500 && top + box.height > -500;
+                if (isVisible) {
+                    const cached = thumbnailCache.get(relativePath);
+                    if (cached && !cached.data.thumbnailReady) {
+                        viewportItems.push(relativePath);
                     }
                 }
             });
@@ -1336,6 +3818,8 @@ async function generateIndexHTML() {
             clearTimeout(scrollTimeout);
             scrollTimeout = setTimeout(() => {
                 reportViewportItems();
+                // Remembered per history entry so a refresh returns to the same place
+                history.replaceState({ ...history.state, scrollY: window.scrollY }, '');
             }, 200);
         });
         
@@ -1372,71 +3856,381 @@ async function generateIndexHTML() {
             }
         }
         
-        async function rescanGallery() {
-            const btn = document.getElementById('rescanBtn');
-            btn.style.opacity = '0.5';
-            btn.style.pointerEvents = 'none';
+        async function rescanGallery() {
+            const btn = document.getElementById('rescanBtn');
+            btn.style.opacity = '0.5';
+            btn.style.pointerEvents = 'none';
+            try {
+                await fetch('/api/rescan', { method: 'POST' });
+                window.location.reload();
+            } catch (e) {
+                btn.style.opacity = '1';
+                btn.style.pointerEvents = 'auto';
+            }
+        }
+        
+        function toggleFullscreen() {
+            if (!document.fullscreenElement) {
+                document.documentElement.requestFullscreen();
+            } else {
+                document.exitFullscreen();
+            }
+        }
+        
+        function toggleTheme() {
+            const root = document.documentElement;
+            const current = root.style.getPropertyValue('--bg-primary') || '#ffffff';
+            if (current === '#ffffff') {
+                root.style.setProperty('--bg-primary', '#1a1a1a');
+                root.style.setProperty('--bg-secondary', '#2d2d2d');
+                root.style.setProperty('--text-primary', '#e0e0e0');
+                root.style.setProperty('--text-secondary', '#a0a0a0');
+            } else {
+                root.style.setProperty('--bg-primary', '#ffffff');
+                root.style.setProperty('--bg-secondary', '#f8f9fa');
+                root.style.setProperty('--text-primary', '#2c3e50');
+                root.style.setProperty('--text-secondary', '#7f8c8d');
+            }
+        }
+        
+        function openModal(media) {
+            const wasOpen = modal.classList.contains('active');
+            if (currentModalMedia !== media) modalShowsRaw = false;
+            // Stop a video that is still playing when moving to another item
+            if (modalVideo.style.display === 'block' && currentModalMedia !== media) {
+                destroyHlsPlayer();
+                modalVideo.pause();
+                modalVideo.src = '';
+            }
+            currentModalMedia = media;
+            if (media.type === 'video') {
+                modalImg.style.display = 'none';
+                modalVideo.style.display = 'block';
+                destroyHlsPlayer();
+                videoStreamOffset = 0;
+                modalVideo.src = media.stream || media.url;
+                if (hlsStreaming) checkHlsStream(media);
+                updateVideoSeek();
+                zoomControls.classList.remove('active');
+                zoomInfo.classList.remove('active');
+            } else {
+                modalVideo.style.display = 'none';
+                modalImg.style.display = 'block';
+                showModalImage();
+                videoSeek.classList.remove('active');
+                zoomControls.classList.add('active');
+                zoomInfo.classList.add('active');
+                resetZoom();
+            }
+            modal.classList.add('active');
+            document.getElementById('tagPanel').classList.add('active');
+            renderModalTags();
+            // Keep the info panel open between items if the user left it open
+            const showInfo = localStorage.getItem('showInfoPanel') === '1';
+            document.getElementById('infoPanel').classList.toggle('active', showInfo);
+            document.getElementById('infoBtn').classList.toggle('active', showInfo);
+            if (showInfo) renderInfoPanel();
+            updateHeartButton();
+            updateModalNavigation();
+            updateRoute(!wasOpen);
+        }
+        
+        // Seek bar under the modal video, with sprite frame previews while hovering
+        const videoSeek = document.getElementById('videoSeek');
+        const videoSeekPreview = document.getElementById('videoSeekPreview');
+        const videoSeekFrame = document.getElementById('videoSeekFrame');
+        
+        // Start time of a converted (remuxed/transcoded) stream. Those streams have no byte
+        // ranges, so seeking requests a new stream starting at the target time.
+        let videoStreamOffset = 0;
+        
+        function isConvertedVideo(media) {
+            return !videoHlsActive && !!media && !!media.playback && media.playback !== 'direct';
+        }
+        
+        function videoDuration() {
+            // Converted streams only know the duration of what has been received so far
+            if (!isConvertedVideo(currentModalMedia) && isFinite(modalVideo.duration) && modalVideo.duration > 0) {
+                return modalVideo.duration;
+            }
+            return currentModalMedia && currentModalMedia.video ? currentModalMedia.video.duration : 0;
+        }
+        
+        function videoPosition() {
+            return videoStreamOffset + modalVideo.currentTime;
+        }
+        
+        function seekVideo(time) {
+            if (!isConvertedVideo(currentModalMedia)) {
+                modalVideo.currentTime = time;
+                return;
+            }
+            videoStreamOffset = Math.round(time * 10) / 10;
+            modalVideo.src = currentModalMedia.stream + '?t=' + videoStreamOffset;
+            modalVideo.play().catch(() => {});
+        }
+        
+        // Keep the seek bar aligned with the bottom edge of the video and show its progress
+        function updateVideoSeek() {
+            if (!currentModalMedia || currentModalMedia.type !== 'video') return;
+            const rect = modalVideo.getBoundingClientRect();
+            videoSeek.style.left = rect.left + 'px';
+            videoSeek.style.top = (rect.bottom + 6) + 'px';
+            videoSeek.style.width = rect.width + 'px';
+            videoSeek.classList.toggle('active', rect.width > 0);
+            const duration = videoDuration();
+            document.getElementById('videoSeekFill').style.width = (duration ? Math.min(videoPosition() / duration, 1) * 100 : 0) + '%';
+        }
+        
+        function seekFraction(e) {
+            const rect = videoSeek.getBoundingClientRect();
+            return Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 1);
+        }
+        
+        videoSeek.addEventListener('mousemove', async (e) => {
+            const media = currentModalMedia;
+            const duration = videoDuration();
+            if (!media || !duration) return;
+            const fraction = seekFraction(e);
+            const time = fraction * duration;
+            videoSeekPreview.style.left = (fraction * 100) + '%';
+            document.getElementById('videoSeekTime').textContent = formatDuration(time);
+            videoSeekPreview.classList.add('active');
+            
+            const track = media.sprite ? await loadSpriteTrack(media.sprite) : null;
+            if (currentModalMedia !== media || !videoSeekPreview.classList.contains('active')) return;
+            if (track) {
+                const cue = track.cues[0];
+                const height = Math.round(160 * cue.h / cue.w);
+                videoSeekFrame.style.height = height + 'px';
+                showSpriteFrame(videoSeekFrame, track, time, 160, height);
+            }
+            // Time only until the sprite sheet has been generated
+            videoSeekFrame.classList.toggle('active', !!track);
+        });
+        videoSeek.addEventListener('mouseleave', () => videoSeekPreview.classList.remove('active'));
+        videoSeek.addEventListener('click', (e) => {
+            const duration = videoDuration();
+            if (duration) seekVideo(seekFraction(e) * duration);
+        });
+        ['loadedmetadata', 'timeupdate', 'seeked'].forEach(type => modalVideo.addEventListener(type, updateVideoSeek));
+        window.addEventListener('resize', updateVideoSeek);
+        
+        // Adaptive HLS playback (gallery up --hls). A video starts on its regular stream;
+        // the HLS stream is generated on first play and swapped in once it is ready.
+        let hlsPlayer = null;
+        let videoHlsActive = false;
+        let hlsRequested = false;
+        let hlsScriptPromise = null;
+        
+        // hls.js for browsers without native HLS; resolves to null when it cannot be used
+        function loadHlsScript() {
+            if (!hlsScriptPromise) {
+                hlsScriptPromise = new Promise(resolve => {
+                    const script = document.createElement('script');
+                    script.src = '/vendor/hls.min.js';
+                    script.onload = () => resolve(window.Hls && window.Hls.isSupported() ? window.Hls : null);
+                    script.onerror = () => resolve(null);
+                    document.head.appendChild(script);
+                });
+            }
+            return hlsScriptPromise;
+        }
+        
+        function destroyHlsPlayer() {
+            if (hlsPlayer) {
+                hlsPlayer.destroy();
+                hlsPlayer = null;
+            }
+            videoHlsActive = false;
+            hlsRequested = false;
+            setHlsStatus('');
+        }
+        
+        function setHlsStatus(text) {
+            document.getElementById('hlsStatus').textContent = text;
+        }
+        
+        function showHlsProgress(data) {
+            if (data.status === 'queued') setHlsStatus('Adaptive stream queued');
+            else if (data.status === 'generating') setHlsStatus('Preparing adaptive stream… ' + data.progress + '%');
+            else setHlsStatus('');
+        }
+        
+        async function hlsRequest(media, method) {
             try {
-                await fetch('/api/rescan', { method: 'POST' });
-                window.location.reload();
-            } catch (e) {
-                btn.style.opacity = '1';
-                btn.style.pointerEvents = 'auto';
+                const response = await fetch('/api/hls/' + encodeURIComponent(media.relativePath), { method });
+                return response.ok ? await response.json() : null;
+            } catch (error) {
+                return null;
             }
         }
         
-        function toggleFullscreen() {
-            if (!document.fullscreenElement) {
-                document.documentElement.requestFullscreen();
-            } else {
-                document.exitFullscreen();
+        // On open: play the HLS stream right away if it already exists
+        async function checkHlsStream(media) {
+            const data = await hlsRequest(media, 'GET');
+            if (!data || currentModalMedia !== media) return;
+            if (data.status === 'ready') {
+                playHlsStream(media, data.playlist);
+            } else if (data.status !== 'none') {
+                hlsRequested = true;
+                showHlsProgress(data);
             }
         }
         
-        function toggleTheme() {
-            const root = document.documentElement;
-            const current = root.style.getPropertyValue('--bg-primary') || '#ffffff';
-            if (current === '#ffffff') {
-                root.style.setProperty('--bg-primary', '#1a1a1a');
-                root.style.setProperty('--bg-secondary', '#2d2d2d');
-                root.style.setProperty('--text-primary', '#e0e0e0');
-                root.style.setProperty('--text-secondary', '#a0a0a0');
+        // Switch the modal video to its HLS stream, keeping the position and play state
+        async function playHlsStream(media, playlist) {
+            if (currentModalMedia !== media || videoHlsActive) return;
+            let Hls = null;
+            if (!modalVideo.canPlayType('application/vnd.apple.mpegurl')) {
+                Hls = await loadHlsScript();
+                // Without a player the regular stream keeps playing
+                if (!Hls || currentModalMedia !== media) {
+                    setHlsStatus('');
+                    return;
+                }
+            }
+            
+            const position = videoPosition();
+            const resume = !modalVideo.paused;
+            videoStreamOffset = 0;
+            videoHlsActive = true;
+            setHlsStatus('');
+            if (Hls) {
+                hlsPlayer = new Hls({ startPosition: position });
+                hlsPlayer.loadSource(playlist);
+                hlsPlayer.attachMedia(modalVideo);
             } else {
-                root.style.setProperty('--bg-primary', '#ffffff');
-                root.style.setProperty('--bg-secondary', '#f8f9fa');
-                root.style.setProperty('--text-primary', '#2c3e50');
-                root.style.setProperty('--text-secondary', '#7f8c8d');
+                modalVideo.src = playlist;
+                modalVideo.addEventListener('loadedmetadata', () => { modalVideo.currentTime = position; }, { once: true });
             }
+            if (resume) modalVideo.play().catch(() => {});
         }
         
-        function openModal(media) {
-            currentModalMedia = media;
-            if (media.type === 'video') {
-                modalImg.style.display = 'none';
-                modalVideo.style.display = 'block';
-                modalVideo.src = media.url;
-                zoomControls.classList.remove('active');
-                zoomInfo.classList.remove('active');
-            } else {
-                modalVideo.style.display = 'none';
-                modalImg.style.display = 'block';
-                modalImg.src = media.url;
-                zoomControls.classList.add('active');
-                zoomInfo.classList.add('active');
-                resetZoom();
+        modalVideo.addEventListener('play', async () => {
+            const media = currentModalMedia;
+            if (!hlsStreaming || !media || media.type !== 'video' || videoHlsActive || hlsRequested) return;
+            hlsRequested = true;
+            const data = await hlsRequest(media, 'POST');
+            if (!data || currentModalMedia !== media) return;
+            if (data.status === 'ready') playHlsStream(media, data.playlist);
+            else showHlsProgress(data);
+        });
+        
+        // The modal shows a screen-sized rendition from /api/transform instead of the
+        // original, rounded up to 512px steps so similar screens share cached renditions.
+        // GIFs and other animated images (animation) and SVGs (vector) are shown as they are.
+        function modalImageUrl(item) {
+            if (item.animated || /\.(gif|svg)$/i.test(item.name)) return item.url;
+            const ratio = window.devicePixelRatio || 1;
+            const size = (pixels) => Math.min(Math.ceil(pixels * ratio / 512) * 512, 4096);
+            return '/api/transform/' + encodeURIComponent(item.relativePath) +
+                '?w=' + size(window.innerWidth) + '&h=' + size(window.innerHeight) + '&format=webp&q=85';
+        }
+        
+        // RAW+JPEG stacks open on the JPEG; the version button (V) switches to the RAW,
+        // shown through renditions of its embedded preview
+        let modalShowsRaw = false;
+        
+        function modalDisplayedMedia() {
+            const media = currentModalMedia;
+            return media && modalShowsRaw && media.rawVersion ? media.rawVersion : media;
+        }
+        
+        function showModalImage() {
+            const media = modalDisplayedMedia();
+            originalImageFor = null;
+            // A rendition that cannot be made falls back to the original (browsers can't show RAW files)
+            modalImg.onerror = () => {
+                modalImg.onerror = null;
+                if (modalDisplayedMedia() === media && !media.raw) modalImg.src = media.url;
+            };
+            modalImg.src = modalImageUrl(media);
+            
+            const versionBtn = document.getElementById('versionBtn');
+            versionBtn.classList.toggle('available', !!currentModalMedia.rawVersion);
+            versionBtn.textContent = media.raw ? 'RAW' : 'JPEG';
+        }
+        
+        function toggleModalVersion() {
+            if (!currentModalMedia || !currentModalMedia.rawVersion) return;
+            modalShowsRaw = !modalShowsRaw;
+            showModalImage();
+            resetZoom();
+            if (document.getElementById('infoPanel').classList.contains('active')) renderInfoPanel();
+        }
+        
+        // Zooming in needs full resolution: the original replaces the rendition once loaded
+        let originalImageFor = null;
+        function loadOriginalImage() {
+            const media = modalDisplayedMedia();
+            if (!media || media.type !== 'image' || media.raw || originalImageFor === media) return;
+            originalImageFor = media;
+            const original = new Image();
+            original.onload = () => {
+                if (modalDisplayedMedia() === media) modalImg.src = media.url;
+            };
+            original.src = media.url;
+        }
+        
+        // Items the modal steps through: everything loaded that passes the filters, in display order
+        function modalItems() {
+            const items = [];
+            galleryLayout.sections.forEach(section => {
+                section.boxes.forEach(box => items.push(box.item));
+            });
+            return items;
+        }
+        
+        function updateModalNavigation() {
+            const items = modalItems();
+            const index = items.findIndex(item => item.relativePath === currentModalMedia.relativePath);
+            const counter = document.getElementById('modalCounter');
+            counter.textContent = index === -1 ? '' : (index + 1) + ' / ' + items.length + (nextCursor ? '+' : '');
+            document.getElementById('prevBtn').disabled = index <= 0;
+            document.getElementById('nextBtn').disabled = index === -1 || (index >= items.length - 1 && !nextCursor);
+            
+            // Preload the neighbouring images so stepping through is instant
+            [items[index - 1], items[index + 1]].forEach(item => {
+                if (index !== -1 && item && item.type === 'image') {
+                    const preload = new Image();
+                    preload.src = modalImageUrl(item);
+                }
+            });
+        }
+        
+        async function navigateModal(delta) {
+            if (!currentModalMedia) return;
+            let items = modalItems();
+            const index = items.findIndex(item => item.relativePath === currentModalMedia.relativePath);
+            if (index === -1) return;
+            
+            // Stepping past the last loaded item fetches the next page
+            if (index + delta >= items.length && nextCursor) {
+                const media = currentModalMedia;
+                await loadNextPage();
+                if (currentModalMedia !== media) return;
+                items = modalItems();
             }
-            modal.classList.add('active');
-            updateHeartButton();
+            
+            const target = items[index + delta];
+            if (target) openModal(target);
         }
         
         function closeModal() {
+            currentModalMedia = null;
+            updateRoute();
             modal.classList.remove('active');
-            if (modalVideo.style.display === 'block') { modalVideo.pause(); modalVideo.src = ''; }
+            document.getElementById('tagPanel').classList.remove('active');
+            document.getElementById('tagInput').value = '';
+            videoSeek.classList.remove('active');
+            if (modalVideo.style.display === 'block') { destroyHlsPlayer(); modalVideo.pause(); modalVideo.src = ''; }
             modalImg.src = ''; resetZoom();
         }
         
         function zoom(delta) {
             scale = Math.max(0.1, Math.min(5, scale + delta));
+            if (scale > 1) loadOriginalImage();
             modalImg.style.transform = 'translate(' + translateX + 'px, ' + translateY + 'px) scale(' + scale + ')';
             zoomInfo.textContent = Math.round(scale * 100) + '%';
         }
@@ -1445,18 +4239,91 @@ async function generateIndexHTML() {
         
         document.getElementById('closeModal').onclick = closeModal;
         modal.onclick = (e) => { if (e.target === modal) closeModal(); };
-        document.addEventListener('keydown', (e) => { if (e.key === 'Escape') closeModal(); });
+        document.getElementById('versionBtn').onclick = toggleModalVersion;
+        document.getElementById('prevBtn').onclick = () => navigateModal(-1);
+        document.getElementById('nextBtn').onclick = () => navigateModal(1);
+        
+        // Modal shortcuts: ←/→ navigate, H heart, +/-/0 zoom, I info, V JPEG/RAW version, Esc close
+        document.addEventListener('keydown', (e) => {
+            if (!modal.classList.contains('active')) return;
+            if (e.key === 'Escape') {
+                closeModal();
+                return;
+            }
+            // Let the tag input keep its own keys
+            if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
+            if (e.ctrlKey || e.metaKey || e.altKey) return;
+            
+            const isImage = currentModalMedia && currentModalMedia.type === 'image';
+            switch (e.key) {
+                case 'ArrowLeft':
+                    navigateModal(-1);
+                    break;
+                case 'ArrowRight':
+                    navigateModal(1);
+                    break;
+                case 'h':
+                case 'H':
+                    if (currentModalMedia) toggleHeart(currentModalMedia.relativePath, document.getElementById('heartBtn'));
+                    break;
+                case '+':
+                case '=':
+                    if (isImage) zoom(0.2);
+                    break;
+                case '-':
+                    if (isImage) zoom(-0.2);
+                    break;
+                case '0':
+                    if (isImage) resetZoom();
+                    break;
+                case 'i':
+                case 'I':
+                    toggleInfoPanel();
+                    break;
+                case 'v':
+                case 'V':
+                    toggleModalVersion();
+                    break;
+                default:
+                    return;
+            }
+            e.preventDefault();
+        });
+        
+        // Horizontal swipes navigate; ignored while zoomed in so panning still works
+        let touchStartX = null, touchStartY = 0;
+        modal.addEventListener('touchstart', (e) => {
+            if (e.touches.length !== 1 || scale > 1) {
+                touchStartX = null;
+                return;
+            }
+            touchStartX = e.touches[0].clientX;
+            touchStartY = e.touches[0].clientY;
+        }, { passive: true });
+        modal.addEventListener('touchend', (e) => {
+            if (touchStartX === null) return;
+            const dx = e.changedTouches[0].clientX - touchStartX;
+            const dy = e.changedTouches[0].clientY - touchStartY;
+            touchStartX = null;
+            if (Math.abs(dx) > 50 && Math.abs(dx) > Math.abs(dy) * 1.5) {
+                navigateModal(dx < 0 ? 1 : -1);
+            }
+        });
+        document.getElementById('tagInput').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                const tag = e.target.value.trim();
+                if (tag) addTag(tag);
+                e.target.value = '';
+            }
+        });
+        document.getElementById('infoBtn').onclick = toggleInfoPanel;
         document.getElementById('zoomIn').onclick = () => zoom(0.2);
         document.getElementById('zoomOut').onclick = () => zoom(-0.2);
         document.getElementById('resetZoom').onclick = resetZoom;
         document.getElementById('heartBtn').onclick = () => {
             if (currentModalMedia) {
                 toggleHeart(currentModalMedia.relativePath, document.getElementById('heartBtn'));
-                const cached = thumbnailCache.get(currentModalMedia.relativePath);
-                if (cached) {
-                    const heartBtn = cached.element.querySelector('.heart-btn');
-                    if (heartBtn) heartBtn.classList.toggle('hearted', heartedImages.has(currentModalMedia.relativePath));
-                }
             }
         };
         modalImg.addEventListener('wheel', (e) => { e.preventDefault(); zoom(e.deltaY > 0 ? -0.1 : 0.1); });
@@ -1483,14 +4350,41 @@ async function setupServer() {
     // Ensure required directories exist
     await fs.mkdir(METADATA_DIR, { recursive: true });
     await fs.mkdir(THUMBNAILS_DIR, { recursive: true });
+    await fs.mkdir(SPRITES_DIR, { recursive: true });
+    await fs.mkdir(STREAMS_DIR, { recursive: true });
+    await transformCache.load();
+    
+    // Open the persistent index; existing JSON metadata is migrated on first run
+    galleryIndex = new GalleryIndex(INDEX_FILE);
+    metadataManager = new MetadataManager(METADATA_DIR, { index: galleryIndex });
+    await metadataManager.ensureMigrated();
+    
+    videoTools = await detectVideoTools();
+    if (videoTools.ffmpeg) {
+        console.log('🎬 ffmpeg found - video thumbnails use real frames');
+    } else {
+        console.warn('⚠️  ffmpeg not found - video thumbnails use placeholders (install ffmpeg or set FFMPEG_PATH)');
+    }
+    if (!videoTools.ffprobe) {
+        console.warn('⚠️  ffprobe not found - video duration and resolution are not available (set FFPROBE_PATH)');
+    }
+    if (HLS_ENABLED) {
+        if (!videoTools.ffmpeg || !videoTools.ffprobe) {
+            console.warn('⚠️  HLS streaming needs ffmpeg and ffprobe - videos play without it');
+        } else {
+            console.log(`📺 HLS streaming enabled${hlsPlayerScript ? '' : ' (hls.js not installed - native HLS players only)'}`);
+        }
+    }
     
     // Generate the index.html file
     await generateIndexHTML();
     
     const app = express();
     
-    // Serve static files from .gallery-cache
-    app.use('/static', express.static(GALLERY_CACHE_DIR));
+    // Serve generated files from .gallery-cache (not the index database or metadata)
+    app.use('/static/thumbnails', express.static(THUMBNAILS_DIR));
+    app.use('/static/sprites', express.static(SPRITES_DIR));
+    app.use('/static/streams', express.static(STREAMS_DIR));
     
     // Server-Sent Events endpoint
     app.get('/api/scan-progress', (req, res) => {
@@ -1518,7 +4412,7 @@ async function setupServer() {
         });
         
         sseClients.add(res);
-        res.write(`data: ${JSON.stringify({ type: 'global_thumbnail_progress', ...thumbnailGenerationState })}\\n\\n`);
+        res.write(`data: ${JSON.stringify({ type: 'global_thumbnail_progress', ...thumbnailGenerationState })}\n\n`);
         
         req.on('close', () => {
             sseClients.delete(res);
@@ -1538,6 +4432,13 @@ async function setupServer() {
                     if (!viewportQueue.find(img => img.relativePath === relativePath)) {
                         viewportQueue.push(item);
                     }
+                    return;
+                }
+                
+                // Items waiting for larger sizes move to the front of that queue
+                const waiting = largerSizesQueue.find(img => img.relativePath === relativePath);
+                if (waiting) {
+                    largerSizesQueue = [waiting, ...largerSizesQueue.filter(img => img !== waiting)];
                 }
             });
             console.log(`👁️ Viewport: ${viewportQueue.length} priority, ${backgroundQueue.length} background`);
@@ -1555,17 +4456,158 @@ async function setupServer() {
         res.json({ isPaused });
     });
     
+    // Persistent thumbnail job queue: counts per status and the most recently updated jobs.
+    // ?status=pending|done|failed filters the list, ?limit= caps it (default 100, max 1000)
+    app.get('/api/thumbnail-jobs', (req, res) => {
+        const status = req.query.status || null;
+        if (status !== null && !GalleryIndex.THUMBNAIL_JOB_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `status must be one of: ${GalleryIndex.THUMBNAIL_JOB_STATUSES.join(', ')}` });
+        }
+        
+        const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+            return res.status(400).json({ error: 'limit must be an integer between 1 and 1000' });
+        }
+        
+        res.json({
+            counts: galleryIndex.getThumbnailJobCounts(),
+            jobs: galleryIndex.listThumbnailJobs({ status, limit })
+        });
+    });
+    
+    // Retry failed thumbnail jobs now, with their attempts reset: those in relativePaths, or all of them
+    app.post('/api/thumbnail-jobs/retry', express.json(), async (req, res) => {
+        const { relativePaths } = req.body || {};
+        if (relativePaths !== undefined && (!Array.isArray(relativePaths) || relativePaths.some(p => typeof p !== 'string'))) {
+            return res.status(400).json({ error: 'relativePaths must be an array of strings' });
+        }
+        
+        const retried = galleryIndex.retryThumbnailJobs(relativePaths || null);
+        if (retried > 0) {
+            await resumeThumbnailJobs();
+        }
+        res.json({ retried });
+    });
+    
     // API endpoint to get gallery data (cached)
+    // ?favorites=true limits the result to favorited items, ?dir= to one directory and its subdirectories
+    // ?groupBy=&sort=&order= regroup and sort the items, ?limit=&cursor= page through them (see grouping.js)
+    // ?stream=ndjson sends the result as newline-delimited JSON instead of one object
     app.get('/api/gallery', async (req, res) => {
+        const { view, errors } = parseGalleryView(req.query);
+        const { page, errors: pageErrors } = parsePageOptions(req.query);
+        errors.push(...pageErrors);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid gallery options', details: errors });
+        }
+        
+        let directory = null;
+        if (typeof req.query.dir === 'string' && req.query.dir !== '') {
+            const resolvedPath = resolveScanPath(req.query.dir);
+            if (!resolvedPath) {
+                return res.status(403).json({ error: 'Access denied' });
+            }
+            directory = path.relative(scanDir, resolvedPath) || null;
+        }
+        
         try {
             const data = await getCachedGalleryData();
-            res.json(data);
+            
+            // RAW+JPEG pairs are one item (see raw.js)
+            let items = stackRawPairs(Object.values(data.galleries).flat());
+            if (req.query.favorites === 'true') {
+                items = items.filter(item => item.metadata && item.metadata.favorite);
+            }
+            if (directory) {
+                items = items.filter(item => item.directory === directory || item.directory.startsWith(directory + path.sep));
+            }
+            
+            const grouped = groupGalleryItems(items, view);
+            const result = page ? paginateGroups(grouped, page) : { ...grouped, nextCursor: null };
+            if (!result) {
+                return res.status(400).json({ error: 'Invalid or expired cursor' });
+            }
+            
+            // Counts cover whole groups, so section headers stay right when a page holds only part of one
+            const groupCounts = {};
+            for (const key of grouped.groupOrder) {
+                groupCounts[key] = grouped.galleries[key].length;
+            }
+            
+            const header = {
+                scanDirectory: data.scanDirectory,
+                totalImages: items.length,
+                lastScan: data.lastScan,
+                pendingThumbnails: data.pendingThumbnails,
+                hlsStreaming: HLS_ENABLED && videoTools.ffmpeg && videoTools.ffprobe,
+                exifPending: isExifPending(),
+                ...view,
+                groupCounts,
+                nextCursor: result.nextCursor
+            };
+            
+            if (req.query.stream === 'ndjson') {
+                return await streamGalleryNdjson(res, header, result);
+            }
+            
+            res.json({ ...data, ...header, galleries: result.galleries, groupOrder: result.groupOrder });
         } catch (error) {
             console.error('Error getting gallery data:', error);
+            if (res.headersSent) return res.end();
             res.status(500).json({ error: 'Failed to get gallery data' });
         }
     });
     
+    // Media of a single directory (not including subdirectories); '.' is the scan root.
+    // Accepts the sort/order/limit/cursor options of /api/gallery.
+    app.get('/api/gallery/dir/:path(*)', async (req, res) => {
+        const { view, errors } = parseGalleryView(req.query);
+        const { page, errors: pageErrors } = parsePageOptions(req.query);
+        errors.push(...pageErrors);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid gallery options', details: errors });
+        }
+        
+        const resolvedPath = resolveScanPath(req.params.path || '.');
+        if (!resolvedPath) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+        
+        try {
+            const stats = await fs.stat(resolvedPath);
+            if (!stats.isDirectory()) {
+                return res.status(404).json({ error: 'Directory not found' });
+            }
+        } catch {
+            return res.status(404).json({ error: 'Directory not found' });
+        }
+        
+        try {
+            const data = await getCachedGalleryData();
+            const directory = path.relative(scanDir, resolvedPath) || '.';
+            const items = stackRawPairs(data.galleries[directory] || []);
+            
+            const grouped = groupGalleryItems(items, { ...view, groupBy: 'none' });
+            const result = page ? paginateGroups(grouped, page) : { ...grouped, nextCursor: null };
+            if (!result) {
+                return res.status(400).json({ error: 'Invalid or expired cursor' });
+            }
+            
+            res.json({
+                directory,
+                total: items.length,
+                sort: view.sort,
+                order: view.order,
+                items: Object.values(result.galleries).flat(),
+                nextCursor: result.nextCursor,
+                exifPending: isExifPending()
+            });
+        } catch (error) {
+            console.error('Error getting directory data:', error);
+            res.status(500).json({ error: 'Failed to get directory data' });
+        }
+    });
+    
     // API endpoint to force rescan
     app.post('/api/rescan', async (req, res) => {
         try {
@@ -1605,6 +4647,19 @@ async function setupServer() {
             connections: {
                 sseClients: sseClients.size
             },
+            transformCache: transformCache.stats(),
+            thumbnails: {
+                pool: thumbnailPool.stats(),
+                jobs: galleryIndex.getThumbnailJobCounts(),
+                queue: {
+                    isGenerating,
+                    isPaused,
+                    viewport: viewportQueue.length,
+                    background: backgroundQueue.length,
+                    largerSizes: largerSizesQueue.length,
+                    sprites: spriteQueue.length
+                }
+            },
             process: {
                 pid: process.pid,
                 uptime: process.uptime(),
@@ -1613,24 +4668,291 @@ async function setupServer() {
         });
     });
     
+    // Resolve and validate the media file addressed by a metadata request.
+    // Sends the error response itself and returns null when the request is invalid.
+    async function resolveMetadataTarget(req, res) {
+        const resolvedPath = resolveScanPath(req.params.path);
+        if (!resolvedPath) {
+            res.status(403).json({ error: 'Access denied' });
+            return null;
+        }
+        
+        try {
+            await fs.access(resolvedPath);
+        } catch {
+            res.status(404).json({ error: 'Media not found' });
+            return null;
+        }
+        
+        if (!isMedia(resolvedPath)) {
+            res.status(400).json({ error: 'Not a media file' });
+            return null;
+        }
+        
+        return path.relative(scanDir, resolvedPath);
+    }
+    
+    // Get metadata for a media file
+    app.get('/api/metadata/:path(*)', async (req, res) => {
+        const relativePath = await resolveMetadataTarget(req, res);
+        if (!relativePath) return;
+        
+        res.json(await metadataManager.loadMetadata(relativePath));
+    });
+    
+    // Replace metadata for a media file (missing fields are reset to defaults)
+    app.put('/api/metadata/:path(*)', express.json(), async (req, res) => {
+        const relativePath = await resolveMetadataTarget(req, res);
+        if (!relativePath) return;
+        
+        const { errors, metadata } = MetadataManager.validateMetadata(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid metadata', details: errors });
+        }
+        
+        if (!await metadataManager.saveMetadata(relativePath, metadata)) {
+            return res.status(500).json({ error: 'Failed to save metadata' });
+        }
+        
+        const saved = await metadataManager.loadMetadata(relativePath);
+        updateCachedMetadata(relativePath, saved);
+        res.json(saved);
+    });
+    
+    // Update selected metadata fields for a media file
+    app.patch('/api/metadata/:path(*)', express.json(), async (req, res) => {
+        const relativePath = await resolveMetadataTarget(req, res);
+        if (!relativePath) return;
+        
+        const { errors, metadata } = MetadataManager.validateMetadata(req.body, { partial: true });
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid metadata', details: errors });
+        }
+        
+        if (!await metadataManager.updateMetadata(relativePath, metadata)) {
+            return res.status(500).json({ error: 'Failed to update metadata' });
+        }
+        
+        const saved = await metadataManager.loadMetadata(relativePath);
+        updateCachedMetadata(relativePath, saved);
+        res.json(saved);
+    });
+    
+    // Delete metadata for a media file
+    app.delete('/api/metadata/:path(*)', async (req, res) => {
+        const relativePath = await resolveMetadataTarget(req, res);
+        if (!relativePath) return;
+        
+        await metadataManager.deleteMetadata(relativePath);
+        updateCachedMetadata(relativePath, null);
+        res.json(await metadataManager.loadMetadata(relativePath));
+    });
+    
+    // Search scanned media and metadata together
+    // ?q= query (see search.js for qualifiers), ?limit= maximum number of results
+    app.get('/api/search', async (req, res) => {
+        const query = typeof req.query.q === 'string' ? req.query.q : '';
+        const { terms, errors } = parseSearchQuery(query);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid search query', details: errors });
+        }
+        
+        try {
+            const data = await getCachedGalleryData();
+            
+            // RAW+JPEG pairs are one item, as in /api/gallery (see raw.js)
+            const results = stackRawPairs(Object.values(data.galleries).flat())
+                .filter(item => matchesSearch(item, terms));
+            
+            const limit = parseInt(req.query.limit);
+            res.json({
+                query,
+                total: results.length,
+                results: limit > 0 ? results.slice(0, limit) : results
+            });
+        } catch (error) {
+            console.error('Error searching gallery:', error);
+            res.status(500).json({ error: 'Failed to search gallery' });
+        }
+    });
+    
+    // List all tags in use with their counts (for autocomplete)
+    app.get('/api/tags', async (req, res) => {
+        const tags = await metadataManager.getAllTags();
+        res.json({ tags });
+    });
+    
+    // List favorited media files
+    app.get('/api/favorites', async (req, res) => {
+        const favorites = await metadataManager.getFavorites();
+        res.json({ favorites, count: favorites.length });
+    });
+    
+    // Favorite several media files at once (used to migrate browser localStorage hearts)
+    app.post('/api/favorites', express.json(), async (req, res) => {
+        const { relativePaths } = req.body || {};
+        if (!Array.isArray(relativePaths)) {
+            return res.status(400).json({ error: 'relativePaths must be an array' });
+        }
+        
+        const added = [];
+        const skipped = [];
+        
+        for (const requestedPath of relativePaths) {
+            const resolvedPath = typeof requestedPath === 'string' ? resolveScanPath(requestedPath) : null;
+            if (!resolvedPath || !isMedia(resolvedPath)) {
+                skipped.push(requestedPath);
+                continue;
+            }
+            
+            try {
+                await fs.access(resolvedPath);
+            } catch {
+                skipped.push(requestedPath);
+                continue;
+            }
+            
+            const relativePath = path.relative(scanDir, resolvedPath);
+            if (await metadataManager.setFavorite(relativePath, true)) {
+                updateCachedMetadata(relativePath, await metadataManager.loadMetadata(relativePath));
+                added.push(relativePath);
+            } else {
+                skipped.push(requestedPath);
+            }
+        }
+        
+        res.json({ added, skipped });
+    });
+    
+    // Favorite a media file
+    app.put('/api/favorites/:path(*)', async (req, res) => {
+        const relativePath = await resolveMetadataTarget(req, res);
+        if (!relativePath) return;
+        
+        if (!await metadataManager.setFavorite(relativePath, true)) {
+            return res.status(500).json({ error: 'Failed to save favorite' });
+        }
+        
+        const saved = await metadataManager.loadMetadata(relativePath);
+        updateCachedMetadata(relativePath, saved);
+        res.json({ relativePath, favorite: saved.favorite });
+    });
+    
+    // Remove a media file from favorites
+    app.delete('/api/favorites/:path(*)', async (req, res) => {
+        const relativePath = await resolveMetadataTarget(req, res);
+        if (!relativePath) return;
+        
+        if (!await metadataManager.setFavorite(relativePath, false)) {
+            return res.status(500).json({ error: 'Failed to remove favorite' });
+        }
+        
+        const saved = await metadataManager.loadMetadata(relativePath);
+        updateCachedMetadata(relativePath, saved);
+        res.json({ relativePath, favorite: saved.favorite });
+    });
+    
     // Serve individual images
     app.get('/image/:path(*)', async (req, res) => {
         try {
-            const imagePath = path.join(scanDir, decodeURIComponent(req.params.path));
-            const resolvedPath = path.resolve(imagePath);
-            const resolvedScanDir = path.resolve(scanDir);
+            const resolvedPath = resolveScanPath(req.params.path);
             
-            if (!resolvedPath.startsWith(resolvedScanDir)) {
+            if (!resolvedPath) {
                 return res.status(403).json({ error: 'Access denied' });
             }
             
-            await fs.access(imagePath);
+            await fs.access(resolvedPath);
             res.sendFile(resolvedPath);
         } catch (error) {
             res.status(404).json({ error: 'Image not found' });
         }
     });
     
+    // Video playback: byte ranges for browser-playable files, otherwise an ffmpeg
+    // remux/transcode to fragmented MP4 (?t=<seconds> starts a converted stream later)
+    app.get('/stream/:path(*)', async (req, res) => {
+        // Express has already decoded the path parameter
+        const resolvedPath = resolveScanPath(req.params.path);
+        
+        if (!resolvedPath) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+        if (!isVideo(resolvedPath)) {
+            return res.status(400).json({ error: 'Not a video file' });
+        }
+        
+        let stats;
+        try {
+            stats = await fs.stat(resolvedPath);
+        } catch (error) {
+            return res.status(404).json({ error: 'Video not found' });
+        }
+        
+        if (!videoTools.ffmpeg) {
+            return sendFileRange(req, res, resolvedPath, stats.size);
+        }
+        
+        // Codecs decide between direct playback and conversion
+        const info = await loadVideoInfo(resolvedPath, stats);
+        const mode = playbackMode(resolvedPath, info);
+        if (mode === 'direct') {
+            return sendFileRange(req, res, resolvedPath, stats.size);
+        }
+        sendConvertedVideo(req, res, resolvedPath, { mode, info });
+    });
+    
+    // Resized/re-encoded image: ?w=&h=&fit=&format=webp|avif|jpeg|png&q= (see transform.js).
+    // Results are cached on disk, keyed to the file's size and mtime.
+    app.get('/api/transform/:path(*)', async (req, res) => {
+        const { options, errors } = parseTransformOptions(req.query);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid transform options', details: errors });
+        }
+        
+        // Express has already decoded the path parameter
+        const resolvedPath = resolveScanPath(req.params.path);
+        if (!resolvedPath) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+        if (!isImage(resolvedPath)) {
+            return res.status(400).json({ error: 'Not an image file' });
+        }
+        
+        let stats;
+        try {
+            stats = await fs.stat(resolvedPath);
+        } catch (error) {
+            return res.status(404).json({ error: 'Image not found' });
+        }
+        
+        try {
+            const relativePath = path.relative(scanDir, resolvedPath);
+            const source = { size: stats.size, modified: stats.mtime.toISOString() };
+            const result = await transformCache.get(resolvedPath, relativePath, source, options);
+            res.sendFile(result.filePath, {
+                headers: {
+                    'Content-Type': result.contentType,
+                    'X-Transform-Cache': result.cached ? 'hit' : 'miss'
+                }
+            });
+        } catch (error) {
+            console.warn(`Failed to transform ${resolvedPath}:`, error.message);
+            res.status(422).json({ error: 'Image could not be transformed' });
+        }
+    });
+    
+    // Adaptive HLS streams (gallery up --hls): GET reports the status, POST also starts
+    // generation. Progress is broadcast as hls_progress SSE events.
+    app.get('/api/hls/:path(*)', (req, res) => sendHlsStatus(req, res, false));
+    app.post('/api/hls/:path(*)', (req, res) => sendHlsStatus(req, res, true));
+    
+    app.get('/vendor/hls.min.js', (req, res) => {
+        if (!hlsPlayerScript) {
+            return res.status(404).json({ error: 'hls.js is not installed' });
+        }
+        res.sendFile(hlsPlayerScript);
+    });
+    
     // Serve the main gallery page from .gallery-cache
     app.get('/', (req, res) => {
         res.sendFile(HTML_FILE);
@@ -1661,13 +4983,20 @@ async function startServer() {
         // Setup file watching for automatic updates
         setupFileWatching();
         
+        // Continue thumbnail jobs left unfinished by the last run
+        resumeThumbnailJobs();
+        
         // Handle graceful shutdown
         const shutdown = () => {
             console.log('\n🔄 Shutting down gallery server...');
             if (fileWatcher) {
                 fileWatcher.close();
             }
+            thumbnailPool.close();
             server.close(() => {
+                if (galleryIndex) {
+                    galleryIndex.close();
+                }
                 process.exit(0);
             });
         };
@@ -0,0 +1,166 @@
+const sharp = require('sharp');
+const exifReader = require('exif-reader');
+const { isRawFile, readRawFile } = require('./raw');
+
+// IPTC-IIM record 2 dataset numbers
+const IPTC_KEYWORDS = 25;
+
+// Convert a [degrees, minutes, seconds] GPS triple and its N/S/E/W ref to decimal degrees
+function gpsToDecimal(triple, ref) {
+    if (!Array.isArray(triple) || triple.length < 3 || triple.some(value => typeof value !== 'number' || isNaN(value))) {
+        return null;
+    }
+    const decimal = triple[0] + triple[1] / 60 + triple[2] / 3600;
+    return (ref === 'S' || ref === 'W') ? -decimal : decimal;
+}
+
+// EXIF strings are NUL-padded by some cameras
+function cleanString(value) {
+    return String(value).replace(/\0/g, '').trim();
+}
+
+// Read keywords (2:25) from an IPTC-IIM block, as embedded by sharp in Photoshop resources
+function parseIptcKeywords(buffer) {
+    const keywords = [];
+    let i = 0;
+    
+    while (i < buffer.length - 5) {
+        // Each dataset starts with the 0x1C tag marker followed by record and dataset numbers
+        if (buffer[i] !== 0x1c || buffer[i + 1] !== 2) {
+            i++;
+            continue;
+        }
+        
+        const dataset = buffer[i + 2];
+        const length = buffer.readUInt16BE(i + 3);
+        // Extended-length datasets (high bit set) never hold keywords; skip the marker
+        if (length & 0x8000) {
+            i += 5;
+            continue;
+        }
+        
+        if (dataset === IPTC_KEYWORDS && i + 5 + length <= buffer.length) {
+            keywords.push(buffer.toString('utf8', i + 5, i + 5 + length).trim());
+        }
+        i += 5 + length;
+    }
+    
+    return keywords.filter(Boolean);
+}
+
+function decodeXmlEntities(text) {
+    return text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+// Read dc:subject keywords from an XMP packet
+function parseXmpKeywords(buffer) {
+    const xmp = buffer.toString('utf8');
+    const subject = xmp.match(/<dc:subject>([\s\S]*?)<\/dc:subject>/);
+    if (!subject) return [];
+    
+    const keywords = [];
+    const itemPattern = /<rdf:li[^>]*>([\s\S]*?)<\/rdf:li>/g;
+    let match;
+    while ((match = itemPattern.exec(subject[1])) !== null) {
+        const keyword = decodeXmlEntities(match[1]).trim();
+        if (keyword) keywords.push(keyword);
+    }
+    return keywords;
+}
+
+// Pick the camera-relevant fields out of a parsed EXIF block
+function summarizeExif(exif) {
+    const image = exif.Image || {};
+    const photo = exif.Photo || {};
+    const gps = exif.GPSInfo || {};
+    const info = {};
+    
+    if (image.Make) info.cameraMake = cleanString(image.Make);
+    if (image.Model) info.cameraModel = cleanString(image.Model);
+    
+    const lens = photo.LensModel || photo.LensMake;
+    if (lens) info.lens = cleanString(lens);
+    
+    if (typeof photo.ExposureTime === 'number') info.exposureTime = photo.ExposureTime;
+    if (typeof photo.FNumber === 'number') info.fNumber = photo.FNumber;
+    const iso = photo.ISOSpeedRatings || photo.PhotographicSensitivity;
+    if (typeof iso === 'number') info.iso = iso;
+    if (typeof photo.FocalLength === 'number') info.focalLength = photo.FocalLength;
+    if (typeof photo.FocalLengthIn35mmFilm === 'number' && photo.FocalLengthIn35mmFilm > 0) {
+        info.focalLength35mm = photo.FocalLengthIn35mmFilm;
+    }
+    
+    // EXIF dates have no time zone; they are kept as the camera's wall-clock time
+    const captured = photo.DateTimeOriginal || photo.DateTimeDigitized || image.DateTime;
+    if (captured instanceof Date && !isNaN(captured.getTime())) {
+        info.capturedAt = captured.toISOString();
+    }
+    
+    const latitude = gpsToDecimal(gps.GPSLatitude, gps.GPSLatitudeRef);
+    const longitude = gpsToDecimal(gps.GPSLongitude, gps.GPSLongitudeRef);
+    if (latitude !== null && longitude !== null) {
+        info.gps = { latitude, longitude };
+        if (typeof gps.GPSAltitude === 'number') {
+            info.gps.altitude = gps.GPSAltitudeRef === 1 ? -gps.GPSAltitude : gps.GPSAltitude;
+        }
+    }
+    
+    return info;
+}
+
+// Extract camera, exposure, capture date, GPS and keyword information from an image.
+// RAW files are measured through their embedded preview, with the EXIF data of the RAW
+// itself where it has its own (see raw.js). Returns null when the file cannot be read.
+async function extractExif(imagePath) {
+    let metadata;
+    try {
+        if (isRawFile(imagePath)) {
+            const { preview, exif } = await readRawFile(imagePath);
+            if (!preview) throw new Error('No embedded JPEG preview');
+            metadata = await sharp(preview).metadata();
+            if (exif) metadata.exif = exif;
+        } else {
+            metadata = await sharp(imagePath).metadata();
+        }
+    } catch (error) {
+        console.warn(`Failed to read metadata for ${imagePath}:`, error.message);
+        return null;
+    }
+    
+    const info = {};
+    
+    if (metadata.width && metadata.height) {
+        // Orientations 5-8 are rotated by 90°, so the displayed size is swapped
+        const rotated = metadata.orientation >= 5;
+        info.width = rotated ? metadata.height : metadata.width;
+        info.height = rotated ? metadata.width : metadata.height;
+    }
+    if (metadata.orientation) info.orientation = metadata.orientation;
+    // Animated GIF and WebP files have one page per frame
+    if (metadata.pages > 1) info.frames = metadata.pages;
+    
+    if (metadata.exif) {
+        try {
+            Object.assign(info, summarizeExif(exifReader(metadata.exif)));
+        } catch (error) {
+            console.warn(`Invalid EXIF data in ${imagePath}:`, error.message);
+        }
+    }
+    
+    const keywords = [
+        ...(metadata.iptc ? parseIptcKeywords(metadata.iptc) : []),
+        ...(metadata.xmp ? parseXmpKeywords(metadata.xmp) : [])
+    ];
+    info.keywords = [...new Set(keywords)];
+    
+    return info;
+}
+
+module.exports = {
+    extractExif
+};
@@ -0,0 +1,570 @@
+const Database = require('better-sqlite3');
+
+// Schema migrations, applied in order. The database's user_version records
+// how many have run, so new migrations must only ever be appended.
+const MIGRATIONS = [
+    // 1: scan results, metadata with denormalized search columns, thumbnail state
+    `
+    CREATE TABLE settings (
+        key TEXT PRIMARY KEY,
+        value TEXT
+    );
+
+    CREATE TABLE media (
+        relative_path TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        path TEXT NOT NULL,
+        directory TEXT NOT NULL,
+        type TEXT NOT NULL,
+        size INTEGER NOT NULL,
+        modified TEXT NOT NULL,
+        scan_id INTEGER NOT NULL
+    );
+    CREATE INDEX idx_media_directory ON media(directory);
+
+    CREATE TABLE metadata (
+        relative_path TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        description TEXT NOT NULL DEFAULT '',
+        rating INTEGER NOT NULL DEFAULT 0,
+        favorite INTEGER NOT NULL DEFAULT 0,
+        last_updated TEXT
+    );
+    CREATE INDEX idx_metadata_favorite ON metadata(favorite);
+
+    CREATE TABLE metadata_tags (
+        relative_path TEXT NOT NULL,
+        tag TEXT NOT NULL,
+        tag_key TEXT NOT NULL,
+        PRIMARY KEY (relative_path, tag_key)
+    );
+    CREATE INDEX idx_metadata_tags_key ON metadata_tags(tag_key);
+
+    CREATE TABLE thumbnails (
+        relative_path TEXT PRIMARY KEY,
+        file_name TEXT NOT NULL,
+        source_size INTEGER,
+        source_modified TEXT,
+        generated_at TEXT NOT NULL
+    );
+    `,
+    // 2: EXIF/IPTC/XMP information, keyed to the source file state it was read from
+    `
+    CREATE TABLE media_exif (
+        relative_path TEXT PRIMARY KEY,
+        source_size INTEGER NOT NULL,
+        source_modified TEXT NOT NULL,
+        captured_at TEXT,
+        data TEXT
+    );
+    CREATE INDEX idx_media_exif_captured ON media_exif(captured_at);
+    `,
+    // 3: ffprobe information for videos, keyed to the source file state like media_exif
+    `
+    CREATE TABLE media_video (
+        relative_path TEXT PRIMARY KEY,
+        source_size INTEGER NOT NULL,
+        source_modified TEXT NOT NULL,
+        duration REAL,
+        width INTEGER,
+        height INTEGER,
+        codec TEXT,
+        data TEXT
+    );
+    `,
+    // 4: persistent thumbnail job queue. next_attempt_at (ms since epoch) is when a
+    // failed job is retried, NULL once it has used up its attempts
+    `
+    CREATE TABLE thumbnail_jobs (
+        relative_path TEXT PRIMARY KEY,
+        source_size INTEGER NOT NULL,
+        source_modified TEXT NOT NULL,
+        status TEXT NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        last_error TEXT,
+        next_attempt_at INTEGER,
+        updated_at TEXT NOT NULL
+    );
+    CREATE INDEX idx_thumbnail_jobs_status ON thumbnail_jobs(status);
+    `,
+    // 5: EXIF information now includes the frame count of animated images, so GIF and
+    // WebP files are read again
+    `
+    DELETE FROM media_exif WHERE lower(relative_path) LIKE '%.gif' OR lower(relative_path) LIKE '%.webp';
+    `
+];
+
+const THUMBNAIL_JOB_STATUSES = ['pending', 'done', 'failed'];
+
+// Persistent SQLite index stored in .gallery-cache/gallery.db.
+// Holds scan results, image metadata and thumbnail state so large
+// galleries don't need one file read per image for every query.
+class GalleryIndex {
+    constructor(dbPath) {
+        this.dbPath = dbPath;
+        this.db = new Database(dbPath);
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('synchronous = NORMAL');
+        this.migrate();
+        this.prepareStatements();
+    }
+
+    // Apply any schema migrations the database hasn't seen yet
+    migrate() {
+        const version = this.db.pragma('user_version', { simple: true });
+
+        for (let i = version; i < MIGRATIONS.length; i++) {
+            this.db.transaction(() => {
+                this.db.exec(MIGRATIONS[i]);
+                this.db.pragma(`user_version = ${i + 1}`);
+            })();
+        }
+    }
+
+    prepareStatements() {
+        this.statements = {
+            getSetting: this.db.prepare('SELECT value FROM settings WHERE key = ?'),
+            setSetting: this.db.prepare('INSERT INTO settings (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value'),
+
+            upsertMedia: this.db.prepare(`
+                INSERT INTO media (relative_path, name, path, directory, type, size, modified, scan_id)
+                VALUES (@relativePath, @name, @path, @directory, @type, @size, @modified, @scanId)
+                ON CONFLICT(relative_path) DO UPDATE SET
+                    name = excluded.name, path = excluded.path, directory = excluded.directory,
+                    type = excluded.type, size = excluded.size, modified = excluded.modified,
+                    scan_id = excluded.scan_id
+            `),
+            deleteStaleMedia: this.db.prepare('DELETE FROM media WHERE scan_id != ?'),
+            deleteOrphanedExif: this.db.prepare('DELETE FROM media_exif WHERE relative_path NOT IN (SELECT relative_path FROM media)'),
+            deleteOrphanedVideo: this.db.prepare('DELETE FROM media_video WHERE relative_path NOT IN (SELECT relative_path FROM media)'),
+            deleteOrphanedThumbnails: this.db.prepare('DELETE FROM thumbnails WHERE relative_path NOT IN (SELECT relative_path FROM media)'),
+            deleteOrphanedThumbnailJobs: this.db.prepare('DELETE FROM thumbnail_jobs WHERE relative_path NOT IN (SELECT relative_path FROM media)'),
+            deleteMedia: this.db.prepare('DELETE FROM media WHERE relative_path = ?'),
+            getMedia: this.db.prepare('SELECT * FROM media WHERE relative_path = ?'),
+            getAllMedia: this.db.prepare('SELECT * FROM media ORDER BY directory, name'),
+
+            getExif: this.db.prepare('SELECT * FROM media_exif WHERE relative_path = ?'),
+            upsertExif: this.db.prepare(`
+                INSERT INTO media_exif (relative_path, source_size, source_modified, captured_at, data)
+                VALUES (@relativePath, @sourceSize, @sourceModified, @capturedAt, @data)
+                ON CONFLICT(relative_path) DO UPDATE SET
+                    source_size = excluded.source_size, source_modified = excluded.source_modified,
+                    captured_at = excluded.captured_at, data = excluded.data
+            `),
+            deleteExif: this.db.prepare('DELETE FROM media_exif WHERE relative_path = ?'),
+
+            getVideo: this.db.prepare('SELECT * FROM media_video WHERE relative_path = ?'),
+            upsertVideo: this.db.prepare(`
+                INSERT INTO media_video (relative_path, source_size, source_modified, duration, width, height, codec, data)
+                VALUES (@relativePath, @sourceSize, @sourceModified, @duration, @width, @height, @codec, @data)
+                ON CONFLICT(relative_path) DO UPDATE SET
+                    source_size = excluded.source_size, source_modified = excluded.source_modified,
+                    duration = excluded.duration, width = excluded.width, height = excluded.height,
+                    codec = excluded.codec, data = excluded.data
+            `),
+            deleteVideo: this.db.prepare('DELETE FROM media_video WHERE relative_path = ?'),
+
+            getMetadata: this.db.prepare('SELECT data FROM metadata WHERE relative_path = ?'),
+            getAllMetadata: this.db.prepare('SELECT relative_path, data FROM metadata'),
+            upsertMetadata: this.db.prepare(`
+                INSERT INTO metadata (relative_path, data, description, rating, favorite, last_updated)
+                VALUES (@relativePath, @data, @description, @rating, @favorite, @lastUpdated)
+                ON CONFLICT(relative_path) DO UPDATE SET
+                    data = excluded.data, description = excluded.description, rating = excluded.rating,
+                    favorite = excluded.favorite, last_updated = excluded.last_updated
+            `),
+            deleteMetadata: this.db.prepare('DELETE FROM metadata WHERE relative_path = ?'),
+            deleteTags: this.db.prepare('DELETE FROM metadata_tags WHERE relative_path = ?'),
+            insertTag: this.db.prepare('INSERT OR IGNORE INTO metadata_tags (relative_path, tag, tag_key) VALUES (?, ?, ?)'),
+            getFavorites: this.db.prepare('SELECT relative_path FROM metadata WHERE favorite = 1 ORDER BY relative_path'),
+            getTagCounts: this.db.prepare(`
+                SELECT MIN(tag) AS tag, COUNT(*) AS count FROM metadata_tags
+                GROUP BY tag_key ORDER BY count DESC, tag_key
+            `),
+            searchMetadata: this.db.prepare(`
+                SELECT m.relative_path, m.data FROM metadata m
+                WHERE m.relative_path LIKE @pattern ESCAPE '\\'
+                    OR m.description LIKE @pattern ESCAPE '\\'
+                    OR EXISTS (
+                        SELECT 1 FROM metadata_tags t
+                        WHERE t.relative_path = m.relative_path AND t.tag_key LIKE @pattern ESCAPE '\\'
+                    )
+            `),
+
+            getThumbnail: this.db.prepare('SELECT * FROM thumbnails WHERE relative_path = ?'),
+            upsertThumbnail: this.db.prepare(`
+                INSERT INTO thumbnails (relative_path, file_name, source_size, source_modified, generated_at)
+                VALUES (@relativePath, @fileName, @sourceSize, @sourceModified, @generatedAt)
+                ON CONFLICT(relative_path) DO UPDATE SET
+                    file_name = excluded.file_name, source_size = excluded.source_size,
+                    source_modified = excluded.source_modified, generated_at = excluded.generated_at
+            `),
+            deleteThumbnail: this.db.prepare('DELETE FROM thumbnails WHERE relative_path = ?'),
+
+            // A job is reset when its file changed, or when it was done but thumbnails are
+            // missing again; a failed job of an unchanged file keeps its attempts and backoff
+            queueThumbnailJob: this.db.prepare(`
+                INSERT INTO thumbnail_jobs (relative_path, source_size, source_modified, status, attempts, updated_at)
+                VALUES (@relativePath, @sourceSize, @sourceModified, 'pending', 0, @updatedAt)
+                ON CONFLICT(relative_path) DO UPDATE SET
+                    source_size = excluded.source_size, source_modified = excluded.source_modified,
+                    status = 'pending', attempts = 0, last_error = NULL, next_attempt_at = NULL,
+                    updated_at = excluded.updated_at
+                WHERE thumbnail_jobs.source_size != excluded.source_size
+                    OR thumbnail_jobs.source_modified != excluded.source_modified
+                    OR thumbnail_jobs.status = 'done'
+            `),
+            getThumbnailJob: this.db.prepare('SELECT * FROM thumbnail_jobs WHERE relative_path = ?'),
+            completeThumbnailJob: this.db.prepare(`
+                UPDATE thumbnail_jobs SET status = 'done', last_error = NULL, next_attempt_at = NULL, updated_at = ?
+                WHERE relative_path = ?
+            `),
+            failThumbnailJob: this.db.prepare(`
+                UPDATE thumbnail_jobs SET status = 'failed', attempts = attempts + 1, last_error = @error,
+                    next_attempt_at = @nextAttemptAt, updated_at = @updatedAt
+                WHERE relative_path = @relativePath
+            `),
+            getDueThumbnailJobs: this.db.prepare(`
+                SELECT m.* FROM thumbnail_jobs j
+                JOIN media m ON m.relative_path = j.relative_path
+                    AND m.size = j.source_size AND m.modified = j.source_modified
+                WHERE j.status = 'pending' OR (j.status = 'failed' AND j.next_attempt_at <= ?)
+                ORDER BY m.directory, m.name
+            `),
+            getNextThumbnailRetry: this.db.prepare(`
+                SELECT MIN(next_attempt_at) AS next_attempt_at FROM thumbnail_jobs WHERE status = 'failed'
+            `),
+            listThumbnailJobs: this.db.prepare(`
+                SELECT * FROM thumbnail_jobs WHERE @status IS NULL OR status = @status
+                ORDER BY updated_at DESC, relative_path LIMIT @limit
+            `),
+            getThumbnailJobCounts: this.db.prepare('SELECT status, COUNT(*) AS count FROM thumbnail_jobs GROUP BY status'),
+            retryThumbnailJob: this.db.prepare(`
+                UPDATE thumbnail_jobs SET status = 'pending', attempts = 0, last_error = NULL, next_attempt_at = NULL,
+                    updated_at = ?
+                WHERE relative_path = ? AND status = 'failed'
+            `),
+            retryAllThumbnailJobs: this.db.prepare(`
+                UPDATE thumbnail_jobs SET status = 'pending', attempts = 0, last_error = NULL, next_attempt_at = NULL,
+                    updated_at = ?
+                WHERE status = 'failed'
+            `),
+            deleteThumbnailJob: this.db.prepare('DELETE FROM thumbnail_jobs WHERE relative_path = ?')
+        };
+    }
+
+    getSetting(key) {
+        const row = this.statements.getSetting.get(key);
+        return row ? row.value : null;
+    }
+
+    setSetting(key, value) {
+        this.statements.setSetting.run(key, value);
+    }
+
+    // Replace all scan results in one transaction; rows not in items are removed
+    replaceMedia(items) {
+        const scanId = Date.now();
+        this.db.transaction(() => {
+            for (const item of items) {
+                this.statements.upsertMedia.run(this.mediaParams(item, scanId));
+            }
+            this.statements.deleteStaleMedia.run(scanId);
+            this.statements.deleteOrphanedExif.run();
+            this.statements.deleteOrphanedVideo.run();
+            this.statements.deleteOrphanedThumbnails.run();
+            this.statements.deleteOrphanedThumbnailJobs.run();
+        })();
+    }
+
+    upsertMedia(item) {
+        this.statements.upsertMedia.run(this.mediaParams(item, Date.now()));
+    }
+
+    removeMedia(relativePath) {
+        this.db.transaction(() => {
+            this.statements.deleteMedia.run(relativePath);
+            this.statements.deleteExif.run(relativePath);
+            this.statements.deleteVideo.run(relativePath);
+            this.statements.deleteThumbnailJob.run(relativePath);
+        })();
+    }
+
+    getMedia(relativePath) {
+        const row = this.statements.getMedia.get(relativePath);
+        return row ? this.rowToMedia(row) : null;
+    }
+
+    getAllMedia() {
+        return this.statements.getAllMedia.all().map(row => this.rowToMedia(row));
+    }
+
+    mediaParams(item, scanId) {
+        return {
+            relativePath: item.relativePath,
+            name: item.name,
+            path: item.path,
+            directory: item.directory,
+            type: item.type,
+            size: item.size,
+            modified: item.modified,
+            scanId
+        };
+    }
+
+    rowToMedia(row) {
+        return {
+            name: row.name,
+            path: row.path,
+            relativePath: row.relative_path,
+            directory: row.directory,
+            size: row.size,
+            modified: row.modified,
+            type: row.type
+        };
+    }
+
+    // Get stored EXIF information for a file. Returns undefined when nothing is
+    // stored or the file changed since, and null when the file had none.
+    getExif(relativePath, { size, modified }) {
+        const row = this.statements.getExif.get(relativePath);
+        if (!row || row.source_size !== size || row.source_modified !== modified) {
+            return undefined;
+        }
+        return row.data ? JSON.parse(row.data) : null;
+    }
+
+    setExif(relativePath, { size, modified }, exif) {
+        this.statements.upsertExif.run({
+            relativePath,
+            sourceSize: size,
+            sourceModified: modified,
+            capturedAt: exif && exif.capturedAt ? exif.capturedAt : null,
+            data: exif ? JSON.stringify(exif) : null
+        });
+    }
+
+    // Get stored ffprobe information for a video; same undefined/null convention as getExif
+    getVideoInfo(relativePath, { size, modified }) {
+        const row = this.statements.getVideo.get(relativePath);
+        if (!row || row.source_size !== size || row.source_modified !== modified) {
+            return undefined;
+        }
+        return row.data ? JSON.parse(row.data) : null;
+    }
+
+    setVideoInfo(relativePath, { size, modified }, info) {
+        this.statements.upsertVideo.run({
+            relativePath,
+            sourceSize: size,
+            sourceModified: modified,
+            duration: info && info.duration !== undefined ? info.duration : null,
+            width: info && info.width !== undefined ? info.width : null,
+            height: info && info.height !== undefined ? info.height : null,
+            codec: info && info.codec ? info.codec : null,
+            data: info ? JSON.stringify(info) : null
+        });
+    }
+
+    getMetadata(relativePath) {
+        const row = this.statements.getMetadata.get(relativePath);
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    getAllMetadata() {
+        const allMetadata = {};
+        for (const row of this.statements.getAllMetadata.iterate()) {
+            allMetadata[row.relative_path] = JSON.parse(row.data);
+        }
+        return allMetadata;
+    }
+
+    // Store a metadata document and refresh its search columns and tags
+    saveMetadata(relativePath, metadata) {
+        this.db.transaction(() => {
+            this.writeMetadata(relativePath, metadata);
+        })();
+    }
+
+    // Import many metadata documents at once (used by the JSON migration)
+    importMetadata(allMetadata) {
+        this.db.transaction(() => {
+            for (const [relativePath, metadata] of Object.entries(allMetadata)) {
+                this.writeMetadata(relativePath, metadata);
+            }
+        })();
+    }
+
+    writeMetadata(relativePath, metadata) {
+        this.statements.upsertMetadata.run({
+            relativePath,
+            data: JSON.stringify(metadata),
+            description: typeof metadata.description === 'string' ? metadata.description : '',
+            rating: Number.isInteger(metadata.rating) ? metadata.rating : 0,
+            favorite: metadata.favorite === true ? 1 : 0,
+            lastUpdated: metadata.lastUpdated || null
+        });
+
+        this.statements.deleteTags.run(relativePath);
+        for (const tag of Array.isArray(metadata.tags) ? metadata.tags : []) {
+            if (typeof tag === 'string' && tag) {
+                this.statements.insertTag.run(relativePath, tag, tag.toLowerCase());
+            }
+        }
+    }
+
+    deleteMetadata(relativePath) {
+        let changes = 0;
+        this.db.transaction(() => {
+            this.statements.deleteTags.run(relativePath);
+            changes = this.statements.deleteMetadata.run(relativePath).changes;
+        })();
+        return changes > 0;
+    }
+
+    getFavorites() {
+        return this.statements.getFavorites.all().map(row => row.relative_path);
+    }
+
+    getTagCounts() {
+        return this.statements.getTagCounts.all();
+    }
+
+    // Case-insensitive substring search over path, description and tags
+    searchMetadata(term) {
+        const escaped = term.toLowerCase().replace(/[\\%_]/g, char => `\\${char}`);
+        const results = {};
+        for (const row of this.statements.searchMetadata.iterate({ pattern: `%${escaped}%` })) {
+            results[row.relative_path] = JSON.parse(row.data);
+        }
+        return results;
+    }
+
+    getThumbnail(relativePath) {
+        const row = this.statements.getThumbnail.get(relativePath);
+        if (!row) return null;
+        return {
+            fileName: row.file_name,
+            sourceSize: row.source_size,
+            sourceModified: row.source_modified,
+            generatedAt: row.generated_at
+        };
+    }
+
+    setThumbnail(relativePath, { fileName, sourceSize = null, sourceModified = null }) {
+        this.statements.upsertThumbnail.run({
+            relativePath,
+            fileName,
+            sourceSize,
+            sourceModified,
+            generatedAt: new Date().toISOString()
+        });
+    }
+
+    removeThumbnail(relativePath) {
+        this.statements.deleteThumbnail.run(relativePath);
+    }
+
+    // Record thumbnail jobs for media that is missing thumbnails. Returns the relative
+    // paths that can run now: pending jobs, and failed ones whose retry time has come.
+    queueThumbnailJobs(items, now = Date.now()) {
+        const runnable = new Set();
+        const updatedAt = new Date(now).toISOString();
+
+        this.db.transaction(() => {
+            for (const item of items) {
+                this.statements.queueThumbnailJob.run({
+                    relativePath: item.relativePath,
+                    sourceSize: item.size,
+                    sourceModified: item.modified,
+                    updatedAt
+                });
+                const row = this.statements.getThumbnailJob.get(item.relativePath);
+                if (row.status === 'pending' || (row.status === 'failed' && row.next_attempt_at !== null && row.next_attempt_at <= now)) {
+                    runnable.add(item.relativePath);
+                }
+            }
+        })();
+        return runnable;
+    }
+
+    completeThumbnailJob(relativePath) {
+        this.statements.completeThumbnailJob.run(new Date().toISOString(), relativePath);
+    }
+
+    // Mark a job failed; nextAttemptAt (ms) is when to retry it, null to give up
+    failThumbnailJob(relativePath, error, nextAttemptAt) {
+        this.statements.failThumbnailJob.run({
+            relativePath,
+            error,
+            nextAttemptAt,
+            updatedAt: new Date().toISOString()
+        });
+    }
+
+    getThumbnailJob(relativePath) {
+        const row = this.statements.getThumbnailJob.get(relativePath);
+        return row ? this.rowToThumbnailJob(row) : null;
+    }
+
+    // Media of the jobs that can run at time now, unless the file changed since they were queued
+    getDueThumbnailJobs(now = Date.now()) {
+        return this.statements.getDueThumbnailJobs.all(now).map(row => this.rowToMedia(row));
+    }
+
+    // Earliest retry time (ms) of the failed jobs, or null
+    getNextThumbnailRetry() {
+        return this.statements.getNextThumbnailRetry.get().next_attempt_at;
+    }
+
+    // Most recently updated jobs first, optionally only those with the given status
+    listThumbnailJobs({ status = null, limit = 100 } = {}) {
+        return this.statements.listThumbnailJobs.all({ status, limit }).map(row => this.rowToThumbnailJob(row));
+    }
+
+    getThumbnailJobCounts() {
+        const counts = Object.fromEntries(THUMBNAIL_JOB_STATUSES.map(status => [status, 0]));
+        for (const row of this.statements.getThumbnailJobCounts.all()) {
+            counts[row.status] = row.count;
+        }
+        return counts;
+    }
+
+    // Reset failed jobs to pending with no attempts (all of them without relativePaths).
+    // Returns the number of jobs reset.
+    retryThumbnailJobs(relativePaths = null) {
+        const updatedAt = new Date().toISOString();
+        if (!relativePaths) {
+            return this.statements.retryAllThumbnailJobs.run(updatedAt).changes;
+        }
+
+        let changes = 0;
+        this.db.transaction(() => {
+            for (const relativePath of relativePaths) {
+                changes += this.statements.retryThumbnailJob.run(updatedAt, relativePath).changes;
+            }
+        })();
+        return changes;
+    }
+
+    rowToThumbnailJob(row) {
+        return {
+            relativePath: row.relative_path,
+            sourceSize: row.source_size,
+            sourceModified: row.source_modified,
+            status: row.status,
+            attempts: row.attempts,
+            lastError: row.last_error,
+            nextAttemptAt: row.next_attempt_at !== null ? new Date(row.next_attempt_at).toISOString() : null,
+            updatedAt: row.updated_at
+        };
+    }
+
+    close() {
+        this.db.close();
+    }
+}
+
+GalleryIndex.THUMBNAIL_JOB_STATUSES = THUMBNAIL_JOB_STATUSES;
+
+module.exports = GalleryIndex;
@@ -0,0 +1,188 @@
+// Grouping and sorting of gallery items for /api/gallery.
+//
+//   groupBy  directory | day | month | year | camera | none   (default: directory)
+//   sort     name | mtime | captured | size                   (default: name)
+//   order    asc | desc                                       (default: asc)
+//
+// Date groups and the "captured" sort use the EXIF capture date, falling back
+// to the file's modification time for media without one (videos, screenshots).
+//
+// Results can be paged with ?limit=N&cursor=<nextCursor of the previous page>.
+// Cursors point at the last item returned, so pages stay consistent when files
+// are added or removed elsewhere in the gallery between requests.
+
+const GROUP_BY_OPTIONS = ['directory', 'day', 'month', 'year', 'camera', 'none'];
+const SORT_OPTIONS = ['name', 'mtime', 'captured', 'size'];
+const ORDER_OPTIONS = ['asc', 'desc'];
+
+const DEFAULT_VIEW = { groupBy: 'directory', sort: 'name', order: 'asc' };
+
+const MAX_PAGE_LIMIT = 5000;
+
+const UNKNOWN_CAMERA = 'Unknown camera';
+const ALL_MEDIA = 'all';
+
+// Validate groupBy/sort/order query parameters, filling in defaults
+function parseGalleryView(query) {
+    const view = { ...DEFAULT_VIEW };
+    const errors = [];
+    
+    const options = { groupBy: GROUP_BY_OPTIONS, sort: SORT_OPTIONS, order: ORDER_OPTIONS };
+    for (const [name, allowed] of Object.entries(options)) {
+        const value = query[name];
+        if (value === undefined || value === '') continue;
+        
+        if (typeof value !== 'string' || !allowed.includes(value.toLowerCase())) {
+            errors.push(`${name} must be one of: ${allowed.join(', ')}`);
+        } else {
+            view[name] = value.toLowerCase();
+        }
+    }
+    
+    return { view, errors };
+}
+
+// Validate cursor/limit query parameters. Returns page: null when not paginating.
+function parsePageOptions(query) {
+    const errors = [];
+    const hasLimit = query.limit !== undefined && query.limit !== '';
+    const hasCursor = typeof query.cursor === 'string' && query.cursor !== '';
+    
+    if (!hasLimit && !hasCursor) {
+        return { page: null, errors };
+    }
+    
+    const limit = hasLimit ? Number(query.limit) : MAX_PAGE_LIMIT;
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_LIMIT) {
+        errors.push(`limit must be an integer between 1 and ${MAX_PAGE_LIMIT}`);
+    }
+    
+    return { page: { limit, cursor: hasCursor ? query.cursor : null }, errors };
+}
+
+function encodeCursor(relativePath) {
+    return Buffer.from(relativePath).toString('base64url');
+}
+
+// Capture date as "YYYY-MM-DD..." wall-clock text. EXIF dates are already stored
+// as wall-clock time; modification times are converted to the server's local time.
+function captureDate(item) {
+    if (item.exif && item.exif.capturedAt) {
+        return item.exif.capturedAt;
+    }
+    
+    const modified = new Date(item.modified);
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${modified.getFullYear()}-${pad(modified.getMonth() + 1)}-${pad(modified.getDate())}` +
+        `T${pad(modified.getHours())}:${pad(modified.getMinutes())}:${pad(modified.getSeconds())}`;
+}
+
+// Camera name without the make repeated in the model ("Canon Canon EOS R5")
+function cameraName(item) {
+    const make = item.exif && item.exif.cameraMake;
+    const model = item.exif && item.exif.cameraModel;
+    
+    if (!make && !model) return UNKNOWN_CAMERA;
+    if (!make) return model;
+    if (!model) return make;
+    return model.toLowerCase().startsWith(make.toLowerCase()) ? model : `${make} ${model}`;
+}
+
+function groupKey(item, groupBy) {
+    switch (groupBy) {
+        case 'day': return captureDate(item).slice(0, 10);
+        case 'month': return captureDate(item).slice(0, 7);
+        case 'year': return captureDate(item).slice(0, 4);
+        case 'camera': return cameraName(item);
+        case 'none': return ALL_MEDIA;
+        default: return item.directory;
+    }
+}
+
+function compareItems(a, b, sort) {
+    switch (sort) {
+        case 'mtime':
+            return Date.parse(a.modified) - Date.parse(b.modified);
+        case 'captured':
+            return captureDate(a).localeCompare(captureDate(b));
+        case 'size':
+            return a.size - b.size;
+        default:
+            return a.name.localeCompare(b.name, undefined, { numeric: true, sensitivity: 'base' });
+    }
+}
+
+// Group and sort a flat list of gallery items.
+// Returns { galleries, groupOrder }: groupOrder lists the group keys in display
+// order, since object keys such as years would otherwise be reordered numerically.
+function groupGalleryItems(items, view) {
+    const direction = view.order === 'desc' ? -1 : 1;
+    const sorted = [...items].sort((a, b) =>
+        direction * (compareItems(a, b, view.sort) || a.relativePath.localeCompare(b.relativePath))
+    );
+    
+    const galleries = {};
+    for (const item of sorted) {
+        const key = groupKey(item, view.groupBy);
+        if (!galleries[key]) {
+            galleries[key] = [];
+        }
+        galleries[key].push(item);
+    }
+    
+    const groupOrder = Object.keys(galleries);
+    if (view.groupBy === 'directory' || view.groupBy === 'camera') {
+        // Named groups are listed alphabetically, with unknown cameras last
+        groupOrder.sort((a, b) => {
+            if (a === UNKNOWN_CAMERA) return 1;
+            if (b === UNKNOWN_CAMERA) return -1;
+            return a.localeCompare(b);
+        });
+    } else {
+        // Date groups follow the requested order so the timeline reads newest-first with order=desc
+        groupOrder.sort((a, b) => direction * a.localeCompare(b));
+    }
+    
+    return { galleries, groupOrder };
+}
+
+// Cut one page out of grouped items, keeping the group order.
+// Returns null when the cursor does not match any item (e.g. the file was deleted).
+function paginateGroups({ galleries, groupOrder }, page) {
+    const items = [];
+    for (const key of groupOrder) {
+        for (const item of galleries[key]) {
+            items.push({ key, item });
+        }
+    }
+    
+    let start = 0;
+    if (page.cursor) {
+        const index = items.findIndex(entry => encodeCursor(entry.item.relativePath) === page.cursor);
+        if (index === -1) return null;
+        start = index + 1;
+    }
+    
+    const pageItems = items.slice(start, start + page.limit);
+    const pageGalleries = {};
+    for (const { key, item } of pageItems) {
+        if (!pageGalleries[key]) {
+            pageGalleries[key] = [];
+        }
+        pageGalleries[key].push(item);
+    }
+    
+    const hasMore = start + page.limit < items.length;
+    return {
+        galleries: pageGalleries,
+        groupOrder: groupOrder.filter(key => pageGalleries[key]),
+        nextCursor: hasMore ? encodeCursor(pageItems[pageItems.length - 1].item.relativePath) : null
+    };
+}
+
+module.exports = {
+    parseGalleryView,
+    parsePageOptions,
+    groupGalleryItems,
+    paginateGroups
+};
@@ -0,0 +1,70 @@
+// Which files and directories the gallery lists. The server's scan and watcher and the
+// CLI's `gallery scan`, `gallery thumbs` and `gallery cleanup` all filter with these,
+// so they agree on what counts as a media file.
+//
+// HEIC/HEIF, AVIF and JPEG XL are thumbnailed where libvips supports them (see
+// canDecodeImage in thumbnails.js), camera RAW files from their embedded JPEG preview
+// (see raw.js).
+
+const path = require('path');
+const { RAW_EXTENSIONS } = require('./raw');
+
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.bmp', '.webp', '.tiff', '.svg', '.heic', '.heif', '.avif', '.jxl', ...RAW_EXTENSIONS];
+const VIDEO_EXTENSIONS = ['.mp4', '.mov', '.avi', '.mkv', '.webm', '.ogg', '.m4v', '.3gp', '.wmv', '.flv'];
+
+// Directories that hold generated thumbnails rather than media
+const THUMBNAIL_DIRECTORIES = ['thumbnails', 'thumb', 'thumbs', '.thumbnails'];
+
+function isImage(filename) {
+    const ext = path.extname(filename).toLowerCase();
+    return IMAGE_EXTENSIONS.includes(ext);
+}
+
+function isVideo(filename) {
+    const ext = path.extname(filename).toLowerCase();
+    return VIDEO_EXTENSIONS.includes(ext);
+}
+
+function isMedia(filename) {
+    return isImage(filename) || isVideo(filename);
+}
+
+// Whether a directory is walked: hidden directories (including .gallery-cache) and
+// node_modules are skipped
+function isScannedDirectory(name) {
+    return !name.startsWith('.') && name !== 'node_modules';
+}
+
+// Check if a file is likely a generated thumbnail
+function isLikelyThumbnail(filePath, filename) {
+    // Skip files in .gallery-cache directories
+    if (filePath.includes('.gallery-cache')) {
+        return true;
+    }
+
+    // Skip files that match thumbnail naming pattern (base64 encoded + .jpg)
+    if (filename.match(/^[A-Za-z0-9+/]+=*\.jpg$/)) {
+        return true;
+    }
+
+    // Skip common thumbnail directory patterns
+    const dirParts = path.dirname(filePath).toLowerCase().split(path.sep);
+    if (THUMBNAIL_DIRECTORIES.some(thumbDir => dirParts.includes(thumbDir))) {
+        return true;
+    }
+
+    return false;
+}
+
+// Whether a scanned file is listed in the gallery
+function isGalleryMedia(filePath) {
+    return isMedia(filePath) && !isLikelyThumbnail(filePath, path.basename(filePath));
+}
+
+module.exports = {
+    isImage,
+    isVideo,
+    isMedia,
+    isScannedDirectory,
+    isGalleryMedia
+};
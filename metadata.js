@@ -1,9 +1,45 @@
 const fs = require('fs').promises;
 const path = require('path');
 
+// Limits applied when validating user-supplied metadata
+const METADATA_LIMITS = {
+    maxTags: 50,
+    maxTagLength: 64,
+    maxDescriptionLength: 5000,
+    minRating: 0,
+    maxRating: 5
+};
+
 class MetadataManager {
-    constructor(metadataDir) {
+    // With options.index (a GalleryIndex) metadata is stored in the SQLite index
+    // and any existing JSON files in metadataDir are migrated into it once.
+    // Without an index, one JSON file per image is written to metadataDir.
+    constructor(metadataDir, options = {}) {
         this.metadataDir = metadataDir;
+        this.index = options.index || null;
+        this.migration = null;
+    }
+
+    // Migrate JSON metadata files into the index (runs once per index)
+    async ensureMigrated() {
+        if (!this.index) return;
+        
+        if (!this.migration) {
+            this.migration = (async () => {
+                if (this.index.getSetting('jsonMetadataMigrated')) return;
+                
+                const allMetadata = await this.readMetadataFiles();
+                const count = Object.keys(allMetadata).length;
+                this.index.importMetadata(allMetadata);
+                this.index.setSetting('jsonMetadataMigrated', new Date().toISOString());
+                
+                if (count > 0) {
+                    console.log(`📦 Migrated ${count} metadata files into the gallery index`);
+                }
+            })();
+        }
+        
+        await this.migration;
     }
 
     // Get metadata file path for an image
@@ -22,6 +58,12 @@ class MetadataManager {
                 imagePath: imageRelativePath
             };
             
+            if (this.index) {
+                await this.ensureMigrated();
+                this.index.saveMetadata(imageRelativePath, data);
+                return true;
+            }
+            
             await fs.writeFile(metadataPath, JSON.stringify(data, null, 2));
             return true;
         } catch (error) {
@@ -33,6 +75,13 @@ class MetadataManager {
     // Load metadata for an image
     async loadMetadata(imageRelativePath) {
         try {
+            if (this.index) {
+                await this.ensureMigrated();
+                const metadata = this.index.getMetadata(imageRelativePath);
+                if (!metadata) throw new Error('No metadata');
+                return metadata;
+            }
+            
             const metadataPath = this.getMetadataPath(imageRelativePath);
             const data = await fs.readFile(metadataPath, 'utf8');
             return JSON.parse(data);
@@ -43,6 +92,7 @@ class MetadataManager {
                 tags: [],
                 description: '',
                 rating: 0,
+                favorite: false,
                 lastUpdated: null
             };
         }
@@ -65,8 +115,23 @@ class MetadataManager {
         }
     }
 
-    // Get all metadata files
+    // Get all metadata, keyed by image relative path
     async getAllMetadata() {
+        if (this.index) {
+            try {
+                await this.ensureMigrated();
+                return this.index.getAllMetadata();
+            } catch (error) {
+                console.warn('Failed to read metadata from index:', error.message);
+                return {};
+            }
+        }
+        
+        return await this.readMetadataFiles();
+    }
+
+    // Read every JSON metadata file in metadataDir
+    async readMetadataFiles() {
         try {
             const files = await fs.readdir(this.metadataDir);
             const metadataFiles = files.filter(file => file.endsWith('.json'));
@@ -87,7 +152,9 @@ class MetadataManager {
             
             return allMetadata;
         } catch (error) {
-            console.warn('Failed to read metadata directory:', error.message);
+            if (error.code !== 'ENOENT') {
+                console.warn('Failed to read metadata directory:', error.message);
+            }
             return {};
         }
     }
@@ -95,6 +162,11 @@ class MetadataManager {
     // Delete metadata for an image
     async deleteMetadata(imageRelativePath) {
         try {
+            if (this.index) {
+                await this.ensureMigrated();
+                return this.index.deleteMetadata(imageRelativePath);
+            }
+            
             const metadataPath = this.getMetadataPath(imageRelativePath);
             await fs.unlink(metadataPath);
             return true;
@@ -104,8 +176,152 @@ class MetadataManager {
         }
     }
 
+    // Move metadata to an image's new path after it was renamed or moved.
+    // Returns false when the image had no metadata.
+    async renameMetadata(oldRelativePath, newRelativePath) {
+        const metadata = await this.loadMetadata(oldRelativePath);
+        if (!metadata.lastUpdated) return false;
+        
+        const { lastUpdated, imagePath, ...fields } = metadata;
+        if (!await this.saveMetadata(newRelativePath, fields)) return false;
+        return await this.deleteMetadata(oldRelativePath);
+    }
+
+    // Get relative paths of all favorited images
+    async getFavorites() {
+        if (this.index) {
+            await this.ensureMigrated();
+            return this.index.getFavorites();
+        }
+        
+        const allMetadata = await this.getAllMetadata();
+        return Object.values(allMetadata)
+            .filter(metadata => metadata.favorite === true)
+            .map(metadata => metadata.imagePath);
+    }
+
+    // Mark or unmark an image as favorite
+    async setFavorite(imageRelativePath, favorite) {
+        return await this.updateMetadata(imageRelativePath, { favorite: !!favorite });
+    }
+
+    // Aggregate every tag in use with its usage count, most used first.
+    // Tags are grouped case-insensitively, keeping the first spelling seen.
+    async getAllTags() {
+        if (this.index) {
+            await this.ensureMigrated();
+            return this.index.getTagCounts();
+        }
+        
+        const allMetadata = await this.getAllMetadata();
+        const counts = new Map();
+        
+        for (const metadata of Object.values(allMetadata)) {
+            for (const tag of metadata.tags || []) {
+                const key = tag.toLowerCase();
+                const entry = counts.get(key);
+                if (entry) {
+                    entry.count++;
+                } else {
+                    counts.set(key, { tag, count: 1 });
+                }
+            }
+        }
+        
+        return Array.from(counts.values())
+            .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+    }
+
+    // Validate and normalize user-supplied metadata fields.
+    // With partial = true only the fields present in input are checked (PATCH),
+    // otherwise missing fields are filled with defaults (PUT).
+    static validateMetadata(input, { partial = false } = {}) {
+        const errors = [];
+        const metadata = {};
+        
+        if (!input || typeof input !== 'object' || Array.isArray(input)) {
+            return { errors: ['Metadata must be a JSON object'], metadata };
+        }
+        
+        const allowedFields = ['tags', 'description', 'rating', 'favorite'];
+        for (const field of Object.keys(input)) {
+            if (!allowedFields.includes(field)) {
+                errors.push(`Unknown field: ${field}`);
+            }
+        }
+        
+        if (input.tags !== undefined) {
+            if (!Array.isArray(input.tags)) {
+                errors.push('tags must be an array of strings');
+            } else if (input.tags.some(tag => typeof tag !== 'string')) {
+                errors.push('tags must only contain strings');
+            } else {
+                // Trim, drop empty entries and de-duplicate case-insensitively
+                const seen = new Set();
+                const tags = [];
+                for (const rawTag of input.tags) {
+                    const tag = rawTag.trim();
+                    if (!tag || seen.has(tag.toLowerCase())) continue;
+                    seen.add(tag.toLowerCase());
+                    tags.push(tag);
+                }
+                if (tags.length > METADATA_LIMITS.maxTags) {
+                    errors.push(`A maximum of ${METADATA_LIMITS.maxTags} tags is allowed`);
+                } else if (tags.some(tag => tag.length > METADATA_LIMITS.maxTagLength)) {
+                    errors.push(`Tags must be at most ${METADATA_LIMITS.maxTagLength} characters`);
+                } else {
+                    metadata.tags = tags;
+                }
+            }
+        } else if (!partial) {
+            metadata.tags = [];
+        }
+        
+        if (input.description !== undefined) {
+            if (typeof input.description !== 'string') {
+                errors.push('description must be a string');
+            } else if (input.description.length > METADATA_LIMITS.maxDescriptionLength) {
+                errors.push(`description must be at most ${METADATA_LIMITS.maxDescriptionLength} characters`);
+            } else {
+                metadata.description = input.description.trim();
+            }
+        } else if (!partial) {
+            metadata.description = '';
+        }
+        
+        if (input.rating !== undefined) {
+            if (!Number.isInteger(input.rating) ||
+                input.rating < METADATA_LIMITS.minRating ||
+                input.rating > METADATA_LIMITS.maxRating) {
+                errors.push(`rating must be an integer between ${METADATA_LIMITS.minRating} and ${METADATA_LIMITS.maxRating}`);
+            } else {
+                metadata.rating = input.rating;
+            }
+        } else if (!partial) {
+            metadata.rating = 0;
+        }
+        
+        if (input.favorite !== undefined) {
+            if (typeof input.favorite !== 'boolean') {
+                errors.push('favorite must be a boolean');
+            } else {
+                metadata.favorite = input.favorite;
+            }
+        } else if (!partial) {
+            metadata.favorite = false;
+        }
+        
+        return { errors, metadata };
+    }
+
     // Search images by metadata
     async searchByMetadata(query) {
+        if (this.index) {
+            await this.ensureMigrated();
+            return Object.entries(this.index.searchMetadata(query))
+                .map(([imagePath, metadata]) => ({ imagePath, metadata }));
+        }
+        
         const allMetadata = await this.getAllMetadata();
         const results = [];
         
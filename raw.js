@@ -0,0 +1,240 @@
+// Camera RAW files (DNG, CR2, NEF, ARW, RAF). libvips can't develop the sensor data,
+// but every one of these formats embeds a JPEG preview rendered by the camera (full
+// size or close to it), which is used for thumbnails, the modal and EXIF instead.
+//
+// DNG, CR2, NEF and ARW are TIFF files: their previews are JPEG strips or
+// JPEGInterchangeFormat blocks in IFD0, the chained IFDs or SubIFDs, and IFD0 holds
+// the EXIF data. RAF has its own header pointing at a preview JPEG with full EXIF.
+//
+// Photographers often shoot RAW+JPEG: a RAW file and a JPEG with the same name in the
+// same directory are stacked into one gallery item (the JPEG, with the RAW as rawVersion).
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const RAW_EXTENSIONS = ['.dng', '.cr2', '.nef', '.arw', '.raf'];
+// Extensions of the JPEG a camera writes next to a RAW file
+const RAW_PAIR_EXTENSIONS = ['.jpg', '.jpeg'];
+
+// Bytes read from the start of a RAW file for its IFDs (and the EXIF data they hold)
+const HEADER_SIZE = 1024 * 1024;
+// Bytes read from the start of a preview candidate to find its frame type
+const JPEG_PROBE_SIZE = 128 * 1024;
+const MAX_IFDS = 32;
+
+const TIFF_TAGS = {
+    compression: 0x0103,
+    stripOffsets: 0x0111,
+    orientation: 0x0112,
+    stripByteCounts: 0x0117,
+    subIfds: 0x014a,
+    jpegOffset: 0x0201,
+    jpegLength: 0x0202
+};
+// TIFF compression values of JPEG data (old-style and new-style)
+const JPEG_COMPRESSION = [6, 7];
+
+function isRawFile(filename) {
+    return RAW_EXTENSIONS.includes(path.extname(filename).toLowerCase());
+}
+
+async function readBytes(handle, position, length) {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, position);
+    return buffer.subarray(0, bytesRead);
+}
+
+// Whether data starts a baseline or progressive JPEG. DNG and CR2 store the sensor
+// data as lossless JPEG, which libjpeg can't decode and which only differs in its SOF marker.
+function isDecodableJpeg(data) {
+    if (data.length < 4 || data[0] !== 0xff || data[1] !== 0xd8) return false;
+    
+    let offset = 2;
+    while (offset + 4 <= data.length && data[offset] === 0xff) {
+        const marker = data[offset + 1];
+        if (marker === 0xc0 || marker === 0xc1 || marker === 0xc2) return true;
+        // Other SOF markers: lossless, hierarchical or arithmetic coding
+        if (marker >= 0xc3 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) return false;
+        offset += 2 + data.readUInt16BE(offset + 2);
+    }
+    return false;
+}
+
+// Orientation (IFD0) and JPEG preview candidates ({ offset, length }) of a TIFF-based RAW
+function parseTiffRaw(header) {
+    const littleEndian = header.toString('latin1', 0, 2) === 'II';
+    const u16 = offset => littleEndian ? header.readUInt16LE(offset) : header.readUInt16BE(offset);
+    const u32 = offset => littleEndian ? header.readUInt32LE(offset) : header.readUInt32BE(offset);
+    
+    const previews = [];
+    let orientation = 1;
+    const pending = [u32(4)];
+    const visited = new Set();
+    
+    while (pending.length > 0 && visited.size < MAX_IFDS) {
+        const ifd = pending.shift();
+        if (!ifd || visited.has(ifd) || ifd + 2 > header.length) continue;
+        const count = u16(ifd);
+        if (ifd + 2 + count * 12 + 4 > header.length) continue;
+        visited.add(ifd);
+        
+        const tags = new Map();
+        for (let i = 0; i < count; i++) {
+            const entry = ifd + 2 + i * 12;
+            const type = u16(entry + 2);
+            // SHORT values are stored in the first two bytes of the value field
+            tags.set(u16(entry), { count: u32(entry + 4), value: type === 3 ? u16(entry + 8) : u32(entry + 8) });
+        }
+        
+        if (visited.size === 1 && tags.has(TIFF_TAGS.orientation)) {
+            orientation = tags.get(TIFF_TAGS.orientation).value;
+        }
+        if (tags.has(TIFF_TAGS.jpegOffset) && tags.has(TIFF_TAGS.jpegLength)) {
+            previews.push({ offset: tags.get(TIFF_TAGS.jpegOffset).value, length: tags.get(TIFF_TAGS.jpegLength).value });
+        }
+        const compression = tags.get(TIFF_TAGS.compression);
+        const strips = tags.get(TIFF_TAGS.stripOffsets);
+        if (compression && JPEG_COMPRESSION.includes(compression.value) && strips && strips.count === 1 && tags.has(TIFF_TAGS.stripByteCounts)) {
+            previews.push({ offset: strips.value, length: tags.get(TIFF_TAGS.stripByteCounts).value });
+        }
+        
+        const subIfds = tags.get(TIFF_TAGS.subIfds);
+        if (subIfds) {
+            if (subIfds.count === 1) {
+                pending.push(subIfds.value);
+            } else {
+                for (let i = 0; i < subIfds.count && subIfds.value + i * 4 + 4 <= header.length; i++) {
+                    pending.push(u32(subIfds.value + i * 4));
+                }
+            }
+        }
+        pending.push(u32(ifd + 2 + count * 12));
+    }
+    
+    return { orientation, previews };
+}
+
+// JPEG with its EXIF segments replaced by one holding only the orientation, so
+// sharp's rotate() turns the preview upright like the RAW (previews are stored unrotated)
+function withOrientation(jpeg, orientation) {
+    const segments = [];
+    let offset = 2;
+    while (offset + 4 <= jpeg.length && jpeg[offset] === 0xff) {
+        const marker = jpeg[offset + 1];
+        // Start of scan: the entropy-coded data follows
+        if (marker === 0xda) break;
+        const end = offset + 2 + jpeg.readUInt16BE(offset + 2);
+        const isExif = marker === 0xe1 && jpeg.toString('latin1', offset + 4, offset + 8) === 'Exif';
+        if (!isExif) segments.push(jpeg.subarray(offset, end));
+        offset = end;
+    }
+    
+    const exif = Buffer.alloc(36);
+    exif.writeUInt16BE(0xffe1, 0);
+    exif.writeUInt16BE(34, 2);
+    exif.write('Exif\0\0II', 4, 'latin1');
+    exif.writeUInt16LE(42, 12);
+    exif.writeUInt32LE(8, 14);     // IFD0 right after the TIFF header
+    exif.writeUInt16LE(1, 18);     // one entry
+    exif.writeUInt16LE(TIFF_TAGS.orientation, 20);
+    exif.writeUInt16LE(3, 22);     // SHORT
+    exif.writeUInt32LE(1, 24);
+    exif.writeUInt16LE(orientation, 28);
+    exif.writeUInt32LE(0, 32);     // no next IFD
+    
+    return Buffer.concat([jpeg.subarray(0, 2), exif, ...segments, jpeg.subarray(offset)]);
+}
+
+// Largest decodable JPEG preview of a RAW file and the RAW's own EXIF block (TIFF
+// header and IFDs, for exif-reader). preview is null when the file has none; exif is
+// null for RAF, whose preview carries the EXIF data itself.
+async function readRawFile(filePath) {
+    const handle = await fs.open(filePath, 'r');
+    try {
+        const { size } = await handle.stat();
+        const header = await readBytes(handle, 0, Math.min(HEADER_SIZE, size));
+        
+        let previews = [];
+        let orientation = 1;
+        let exif = null;
+        if (header.toString('latin1', 0, 15) === 'FUJIFILMCCD-RAW' && header.length >= 92) {
+            previews.push({ offset: header.readUInt32BE(84), length: header.readUInt32BE(88) });
+        } else if (header.length >= 8 && ['II*\0', 'MM\0*'].includes(header.toString('latin1', 0, 4))) {
+            ({ orientation, previews } = parseTiffRaw(header));
+            exif = header;
+        }
+        
+        previews = previews
+            .filter(preview => preview.offset > 0 && preview.length > 0 && preview.offset + preview.length <= size)
+            .sort((a, b) => b.length - a.length);
+        for (const preview of previews) {
+            const start = await readBytes(handle, preview.offset, Math.min(JPEG_PROBE_SIZE, preview.length));
+            if (!isDecodableJpeg(start)) continue;
+            
+            const jpeg = await readBytes(handle, preview.offset, preview.length);
+            return {
+                preview: orientation > 1 && orientation <= 8 ? withOrientation(jpeg, orientation) : jpeg,
+                exif
+            };
+        }
+        return { preview: null, exif };
+    } finally {
+        await handle.close();
+    }
+}
+
+// JPEG preview of a RAW file, oriented through its EXIF orientation
+async function extractRawPreview(filePath) {
+    const { preview } = await readRawFile(filePath);
+    if (!preview) {
+        throw new Error('No embedded JPEG preview');
+    }
+    return preview;
+}
+
+// Directory and base name shared by a RAW file and the JPEG written with it
+function rawPairKey(relativePath) {
+    const { dir, name } = path.parse(relativePath);
+    return path.join(dir, name).toLowerCase();
+}
+
+// RAW+JPEG pairs among gallery items: a Map from the JPEG's relative path to the RAW item
+function findRawPairs(items) {
+    const raws = new Map();
+    for (const item of items) {
+        if (isRawFile(item.name)) raws.set(rawPairKey(item.relativePath), item);
+    }
+    
+    const pairs = new Map();
+    if (raws.size === 0) return pairs;
+    for (const item of items) {
+        const key = rawPairKey(item.relativePath);
+        if (RAW_PAIR_EXTENSIONS.includes(path.extname(item.name).toLowerCase()) && raws.has(key)) {
+            pairs.set(item.relativePath, raws.get(key));
+            raws.delete(key);
+        }
+    }
+    return pairs;
+}
+
+// Gallery items with every RAW+JPEG pair stacked into one item: the JPEG, carrying
+// the RAW item as rawVersion
+function stackRawPairs(items) {
+    const pairs = findRawPairs(items);
+    if (pairs.size === 0) return items;
+    
+    const stacked = new Set(pairs.values());
+    return items
+        .filter(item => !stacked.has(item))
+        .map(item => pairs.has(item.relativePath) ? { ...item, rawVersion: pairs.get(item.relativePath) } : item);
+}
+
+module.exports = {
+    RAW_EXTENSIONS,
+    RAW_PAIR_EXTENSIONS,
+    isRawFile,
+    readRawFile,
+    extractRawPreview,
+    rawPairKey,
+    stackRawPairs
+};
@@ -0,0 +1,122 @@
+// Search query parsing and matching for gallery items.
+//
+// Queries are whitespace-separated terms that must all match (AND).
+// Plain terms match against name, relative path, tags and description.
+// Qualified terms narrow the search to one field:
+//   tag:beach        item has a tag equal to "beach"
+//   dir:2023/trip    directory contains "2023/trip"
+//   type:video       media type is "image" or "video"
+//   rating:>=3       rating compared with >, >=, <, <=, = (or just a number)
+//   is:favorite      item is favorited
+// Double quotes group words into one term: tag:"new york"
+
+const RATING_PATTERN = /^(>=|<=|>|<|=)?(\d+)$/;
+
+// Split a query into terms, keeping quoted phrases together
+function tokenize(query) {
+    const tokens = [];
+    const pattern = /(\S+?:)?"([^"]*)"|\S+/g;
+    let match;
+    
+    while ((match = pattern.exec(query)) !== null) {
+        if (match[2] !== undefined) {
+            tokens.push((match[1] || '') + match[2]);
+        } else {
+            tokens.push(match[0]);
+        }
+    }
+    
+    return tokens;
+}
+
+// Parse a query string into a list of { field, value, operator } terms
+function parseSearchQuery(query) {
+    const terms = [];
+    const errors = [];
+    
+    for (const token of tokenize(query || '')) {
+        const separator = token.indexOf(':');
+        const field = separator > 0 ? token.slice(0, separator).toLowerCase() : null;
+        const value = separator > 0 ? token.slice(separator + 1) : token;
+        
+        if (!value) continue;
+        
+        switch (field) {
+            case 'tag':
+            case 'dir':
+                terms.push({ field, value: value.toLowerCase() });
+                break;
+            case 'type': {
+                const type = value.toLowerCase();
+                if (type !== 'image' && type !== 'video') {
+                    errors.push(`Unknown type: ${value}`);
+                } else {
+                    terms.push({ field, value: type });
+                }
+                break;
+            }
+            case 'rating': {
+                const ratingMatch = value.match(RATING_PATTERN);
+                if (!ratingMatch) {
+                    errors.push(`Invalid rating filter: ${value}`);
+                } else {
+                    terms.push({ field, operator: ratingMatch[1] || '=', value: parseInt(ratingMatch[2]) });
+                }
+                break;
+            }
+            case 'is':
+                if (value.toLowerCase() !== 'favorite') {
+                    errors.push(`Unknown filter: is:${value}`);
+                } else {
+                    terms.push({ field, value: 'favorite' });
+                }
+                break;
+            default:
+                // Unknown qualifiers (and Windows-style paths) are treated as plain text
+                terms.push({ field: 'text', value: token.toLowerCase() });
+        }
+    }
+    
+    return { terms, errors };
+}
+
+function compareRating(rating, operator, value) {
+    switch (operator) {
+        case '>': return rating > value;
+        case '>=': return rating >= value;
+        case '<': return rating < value;
+        case '<=': return rating <= value;
+        default: return rating === value;
+    }
+}
+
+// Check whether a gallery item (scan result with optional metadata) matches every term
+function matchesSearch(item, terms) {
+    const metadata = item.metadata || {};
+    const tags = (metadata.tags || []).map(tag => tag.toLowerCase());
+    
+    return terms.every(term => {
+        switch (term.field) {
+            case 'tag':
+                return tags.includes(term.value);
+            case 'dir':
+                return item.directory.toLowerCase().includes(term.value);
+            case 'type':
+                return item.type === term.value;
+            case 'rating':
+                return compareRating(metadata.rating || 0, term.operator, term.value);
+            case 'is':
+                return metadata.favorite === true;
+            default:
+                return item.name.toLowerCase().includes(term.value) ||
+                    item.relativePath.toLowerCase().includes(term.value) ||
+                    tags.some(tag => tag.includes(term.value)) ||
+                    (metadata.description || '').toLowerCase().includes(term.value);
+        }
+    });
+}
+
+module.exports = {
+    parseSearchQuery,
+    matchesSearch
+};
@@ -626,10 +626,12 @@ async function extractVideoFrame(videoPath, outputPath, timeSeconds = 1) {
 async function generateImageThumbnail(imagePath, thumbnailPath) {
     try {
         await sharp(imagePath)
+            .rotate()
             .resize(300, 300, { 
                 fit: 'inside',
                 withoutEnlargement: true
             })
+            .toColourspace('srgb')
             .jpeg({ quality: 80 })
             .toFile(thumbnailPath);
         return true;
@@ -0,0 +1,203 @@
+// Pool of worker threads that generate thumbnails, so decoding and encoding large
+// images does not block the HTTP server's event loop.
+//
+//   workers       number of threads (default: one per CPU core, leaving one for the server)
+//   memoryLimitMb memory for thumbnail generation: half is the libvips cache, the other
+//                 half is split between the workers' V8 heaps, and the worker count is
+//                 lowered so each gets at least MIN_WORKER_MEMORY_MB of the limit
+//   niceness      scheduling priority of the worker threads, 0-19 (19 is lowest; Linux only)
+//   jobTimeout    milliseconds before a job is abandoned and its worker replaced,
+//                 for files that make the decoder hang
+//
+// Workers are started on demand and jobs wait in a FIFO queue (priority jobs first).
+//
+// libvips settings are per process, not per worker: the workers and the main thread
+// (e.g. /api/transform and EXIF reads) share one libvips cache and thread count, which
+// the pool sets from its size when it is created.
+
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const sharp = require('sharp');
+
+const MIN_WORKER_MEMORY_MB = 128;
+
+const DEFAULT_POOL_OPTIONS = {
+    workers: null,
+    memoryLimitMb: 1024,
+    niceness: 10,
+    jobTimeout: 60000
+};
+
+function cpuCount() {
+    return os.availableParallelism ? os.availableParallelism() : os.cpus().length;
+}
+
+class ThumbnailPool {
+    constructor(options = {}) {
+        const settings = { ...DEFAULT_POOL_OPTIONS };
+        for (const [name, value] of Object.entries(options)) {
+            if (value !== undefined && value !== null) settings[name] = value;
+        }
+        
+        const byMemory = Math.max(1, Math.floor(settings.memoryLimitMb / MIN_WORKER_MEMORY_MB));
+        this.size = Math.min(settings.workers || Math.max(1, cpuCount() - 1), byMemory);
+        this.workerMemoryMb = Math.floor(settings.memoryLimitMb / this.size);
+        this.niceness = settings.niceness;
+        this.jobTimeout = settings.jobTimeout;
+        
+        // Split the CPU cores between the workers' pipelines (one libvips thread each
+        // when the pool has a worker per core)
+        this.vipsConcurrency = Math.max(1, Math.floor(cpuCount() / this.size));
+        this.vipsCacheMb = Math.floor(settings.memoryLimitMb / 2);
+        sharp.concurrency(this.vipsConcurrency);
+        sharp.cache({ memory: this.vipsCacheMb, items: 20 * this.size });
+        
+        this.workers = []; // { worker, task } with task null while idle
+        this.queue = [];   // { job, resolve, reject } waiting for a worker
+        this.nextId = 1;
+        this.closed = false;
+        this.counters = { completed: 0, failed: 0, timedOut: 0, crashed: 0, totalDuration: 0 };
+    }
+    
+    // Run a job (see thumbnail-worker.js) and resolve once its files are written.
+    // Priority jobs (thumbnails someone is waiting for) skip the queued ones.
+    run(job, { priority = false } = {}) {
+        if (this.closed) {
+            return Promise.reject(new Error('Thumbnail pool is closed'));
+        }
+        
+        return new Promise((resolve, reject) => {
+            const task = { job, resolve, reject };
+            if (priority) {
+                this.queue.unshift(task);
+            } else {
+                this.queue.push(task);
+            }
+            this.dispatch();
+        });
+    }
+    
+    dispatch() {
+        while (this.queue.length > 0) {
+            let entry = this.workers.find(candidate => !candidate.task);
+            if (!entry) {
+                if (this.workers.length >= this.size) return;
+                entry = this.spawn();
+            }
+            this.start(entry, this.queue.shift());
+        }
+    }
+    
+    spawn() {
+        const worker = new Worker(path.join(__dirname, 'thumbnail-worker.js'), {
+            workerData: { niceness: this.niceness },
+            resourceLimits: {
+                maxOldGenerationSizeMb: Math.max(32, Math.floor(this.workerMemoryMb / 2))
+            }
+        });
+        const entry = { worker, task: null };
+        
+        worker.on('message', ({ id, error }) => {
+            const task = entry.task;
+            if (!task || task.id !== id) return;
+            this.finish(entry, error ? new Error(error) : null);
+        });
+        worker.on('error', error => {
+            this.counters.crashed++;
+            this.discard(entry, error);
+        });
+        worker.on('exit', () => {
+            this.discard(entry, new Error('Thumbnail worker exited'));
+        });
+        
+        // Idle workers must not keep the process alive
+        worker.unref();
+        this.workers.push(entry);
+        return entry;
+    }
+    
+    start(entry, task) {
+        task.id = this.nextId++;
+        task.startedAt = Date.now();
+        task.timer = setTimeout(() => {
+            this.counters.timedOut++;
+            this.discard(entry, new Error(`Thumbnail job timed out after ${this.jobTimeout} ms`));
+        }, this.jobTimeout);
+        
+        entry.task = task;
+        entry.worker.ref();
+        entry.worker.postMessage({ id: task.id, job: task.job });
+    }
+    
+    finish(entry, error) {
+        const task = entry.task;
+        clearTimeout(task.timer);
+        entry.task = null;
+        entry.worker.unref();
+        
+        if (error) {
+            this.counters.failed++;
+            task.reject(error);
+        } else {
+            this.counters.completed++;
+            this.counters.totalDuration += Date.now() - task.startedAt;
+            task.resolve();
+        }
+        this.dispatch();
+    }
+    
+    // Drop a worker that crashed, exited or is stuck, failing its job; a new
+    // worker is started for the remaining queue
+    discard(entry, error) {
+        if (!this.workers.includes(entry)) return;
+        this.workers = this.workers.filter(candidate => candidate !== entry);
+        entry.worker.removeAllListeners('message');
+        entry.worker.terminate().catch(() => {});
+        
+        if (entry.task) {
+            clearTimeout(entry.task.timer);
+            this.counters.failed++;
+            entry.task.reject(error);
+            entry.task = null;
+        }
+        if (!this.closed) this.dispatch();
+    }
+    
+    stats() {
+        const { completed, totalDuration } = this.counters;
+        return {
+            workers: this.workers.length,
+            maxWorkers: this.size,
+            busy: this.workers.filter(entry => entry.task).length,
+            queued: this.queue.length,
+            workerMemoryMb: this.workerMemoryMb,
+            vipsConcurrency: this.vipsConcurrency,
+            vipsCacheMb: this.vipsCacheMb,
+            niceness: this.niceness,
+            jobTimeout: this.jobTimeout,
+            completed,
+            failed: this.counters.failed,
+            timedOut: this.counters.timedOut,
+            crashed: this.counters.crashed,
+            averageDuration: completed > 0 ? Math.round(totalDuration / completed) : 0
+        };
+    }
+    
+    // Stop every worker; queued jobs are rejected
+    close() {
+        this.closed = true;
+        const error = new Error('Thumbnail pool is closed');
+        for (const task of this.queue.splice(0)) {
+            task.reject(error);
+        }
+        for (const entry of [...this.workers]) {
+            this.discard(entry, error);
+        }
+    }
+}
+
+module.exports = {
+    ThumbnailPool,
+    DEFAULT_POOL_OPTIONS
+};
@@ -0,0 +1,48 @@
+// Worker thread of ThumbnailPool (see thumbnail-pool.js). Runs one job at a time:
+//
+//   { input, animated, resize: { width, height, options }, outputs: [{ format, options, path }] }
+//
+// input is a file path or the bytes of an image (e.g. a video frame). The source is
+// decoded once, turned upright according to its EXIF orientation, converted to sRGB
+// (using its embedded ICC profile, e.g. Display P3 or Adobe RGB) and written in every
+// output format. With animated set every frame of a GIF or WebP is kept; the frames
+// are not rotated, which sharp does not support for multi-frame images.
+//
+// libvips concurrency and cache are process-wide, so the pool sets them, not the workers.
+
+const os = require('os');
+const { parentPort, workerData } = require('worker_threads');
+
+// Lower the priority before sharp is loaded in this thread. On Linux the priority
+// belongs to the thread; on other platforms it would lower the whole server.
+if (process.platform === 'linux') {
+    try {
+        os.setPriority(workerData.niceness);
+    } catch {
+        // Not permitted
+    }
+}
+
+const sharp = require('sharp');
+
+async function runJob(job) {
+    const input = typeof job.input === 'string' ? job.input : Buffer.from(job.input);
+    let pipeline = sharp(input, { animated: Boolean(job.animated) });
+    if (!job.animated) pipeline = pipeline.rotate();
+    pipeline = pipeline
+        .resize(job.resize.width, job.resize.height, job.resize.options)
+        .toColourspace('srgb');
+    
+    await Promise.all(job.outputs.map(output =>
+        pipeline.clone()[output.format](output.options).toFile(output.path)
+    ));
+}
+
+parentPort.on('message', async ({ id, job }) => {
+    try {
+        await runJob(job);
+        parentPort.postMessage({ id });
+    } catch (error) {
+        parentPort.postMessage({ id, error: error.message });
+    }
+});
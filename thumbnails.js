@@ -0,0 +1,310 @@
+// Names of the cached thumbnail files in .gallery-cache/thumbnails/.
+//
+//   <key>_<size>.jpg|webp|avif    one file per size tier and format
+//   <key>_tiny.jpg                64×64 preview
+//   <key>_anim.webp               looping preview of an animated GIF or WebP
+//
+// The key is a hash of the source's relative path, size and modification time,
+// so an edited or replaced file gets new thumbnails instead of keeping the old
+// ones, and names stay short and filesystem-safe however long the path is.
+//
+// The sizes, formats, pool jobs and retry policy defined here are shared by the
+// server and `gallery thumbs`, so both write the same files the same way.
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const sharp = require('sharp');
+const { isRawFile, extractRawPreview } = require('./raw');
+const { extractVideoFrame } = require('./video');
+
+const THUMBNAIL_FILE_PATTERN = /^([0-9a-f]{40})_(\d+|tiny|anim)\.(jpg|webp|avif)$/;
+
+const THUMBNAIL_OUTPUT = {
+    // Quality settings (1-100)
+    quality: {
+        jpeg: 80,
+        webp: 80,
+        avif: 50
+    },
+    // Size tiers (max dimension in pixels). The grid's srcset picks the tier that matches
+    // the tile size and screen density; the smallest is generated first for every item.
+    sizes: [300, 600, 1200],
+    // Formats written alongside the JPEG fallback, offered to browsers through <picture>
+    formats: ['avif', 'webp'],
+    // Animated WebP preview of animated images, played on hover in the grid. Small and
+    // lower quality than the still tiers, since every frame is encoded.
+    animatedPreview: {
+        size: 300,
+        quality: 60
+    },
+    // Square preview shown while an item's size tiers are generated
+    tinyPreview: {
+        size: 64,
+        quality: 60
+    }
+};
+
+// Failed thumbnail jobs are retried after retryDelay, doubling with every attempt
+// up to maxRetryDelay, until maxAttempts have failed (POST /api/thumbnail-jobs/retry starts over)
+const THUMBNAIL_RETRY = {
+    maxAttempts: 5,
+    retryDelay: 60 * 1000,
+    maxRetryDelay: 6 * 60 * 60 * 1000
+};
+
+const THUMBNAIL_SIZES = [...THUMBNAIL_OUTPUT.sizes].sort((a, b) => a - b);
+const THUMBNAIL_FORMATS = ['jpeg', ...THUMBNAIL_OUTPUT.formats.filter(format => format !== 'jpeg')];
+const THUMBNAIL_EXTENSIONS = { jpeg: 'jpg', webp: 'webp', avif: 'avif' };
+
+// Image formats libvips only reads when it was built with the matching library: the
+// prebuilt sharp binaries read AVIF, HEIC needs a libvips with libde265 and JPEG XL one with libjxl
+const OPTIONAL_IMAGE_FORMATS = { '.heic': 'heif', '.heif': 'heif', '.avif': 'heif', '.jxl': 'jxl' };
+
+// HEIC/HEIF photos are HEVC-coded, but sharp.format only tells whether libheif is there:
+// the prebuilt binaries report HEIF input for AVIF without being able to decode HEVC.
+// These files are only found unreadable when they fail, so failures are not retried.
+const HEVC_IMAGE_EXTENSIONS = ['.heic', '.heif'];
+
+// Image formats that can hold an animation (more than one frame, or "page" in libvips)
+const ANIMATED_IMAGE_EXTENSIONS = ['.gif', '.webp'];
+
+function thumbnailKey(media) {
+    return crypto.createHash('sha1')
+        .update(JSON.stringify([media.relativePath, media.size, media.modified]))
+        .digest('hex');
+}
+
+function thumbnailFileName(media, size, format) {
+    return `${thumbnailKey(media)}_${size}.${THUMBNAIL_EXTENSIONS[format]}`;
+}
+
+// ThumbnailPool job (see thumbnail-worker.js) writing one size tier in every format.
+// source is the file path of an image or the bytes of a video frame or placeholder.
+function thumbnailTierJob(media, source, size, thumbnailsDir) {
+    return {
+        input: source,
+        resize: {
+            width: size,
+            height: size,
+            options: { fit: 'inside', withoutEnlargement: true }
+        },
+        outputs: THUMBNAIL_FORMATS.map(format => {
+            const quality = THUMBNAIL_OUTPUT.quality[format];
+            return {
+                format,
+                options: format === 'avif' ? { quality, effort: 2 } : { quality },
+                path: path.join(thumbnailsDir, thumbnailFileName(media, size, format))
+            };
+        })
+    };
+}
+
+function tinyPreviewFileName(media) {
+    return `${thumbnailKey(media)}_tiny.jpg`;
+}
+
+// ThumbnailPool job writing the tiny preview, cropped to a square
+function tinyPreviewJob(media, source, thumbnailsDir) {
+    const { size, quality } = THUMBNAIL_OUTPUT.tinyPreview;
+    return {
+        input: source,
+        resize: {
+            width: size,
+            height: size,
+            options: { fit: 'cover', position: 'center' }
+        },
+        outputs: [{ format: 'jpeg', options: { quality }, path: path.join(thumbnailsDir, tinyPreviewFileName(media)) }]
+    };
+}
+
+function animatedPreviewFileName(media) {
+    return `${thumbnailKey(media)}_anim.webp`;
+}
+
+// ThumbnailPool job writing the animated preview of an animated GIF or WebP: every
+// frame is decoded and resized, keeping the frame delays and loop count
+function animatedPreviewJob(media, thumbnailsDir) {
+    const { size, quality } = THUMBNAIL_OUTPUT.animatedPreview;
+    return {
+        input: media.path,
+        animated: true,
+        resize: {
+            width: size,
+            height: size,
+            options: { fit: 'inside', withoutEnlargement: true }
+        },
+        outputs: [{
+            format: 'webp',
+            options: { quality },
+            path: path.join(thumbnailsDir, animatedPreviewFileName(media))
+        }]
+    };
+}
+
+// Sharp input for the thumbnails of a media file: the image file, the embedded preview
+// of a RAW file or a frame of the video (picked using media.video.duration when the video
+// was probed). Pass a frame that was already extracted to avoid decoding the video twice.
+async function readThumbnailSource(media, frame) {
+    if (media.type === 'image') {
+        if (isRawFile(media.path)) {
+            return extractRawPreview(media.path);
+        }
+        if (!canDecodeImage(media.path)) {
+            throw new Error(`${path.extname(media.path)} images are not supported by the installed libvips`);
+        }
+        return media.path;
+    }
+    
+    const source = frame === undefined
+        ? await extractVideoFrame(media.path, media.video ? media.video.duration : undefined)
+        : frame;
+    if (!source) {
+        throw new Error('No decodable video frame');
+    }
+    return source;
+}
+
+async function fileExists(filePath) {
+    try {
+        await fs.access(filePath);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// Write the thumbnails of a media file on a ThumbnailPool: the given size tiers in every
+// format, the tiny preview with tinyPreview and the animated preview with animated.
+// Existing files are kept unless force is set. source returns the sharp input; it is
+// called once, and only when something is missing. Returns whether anything was written.
+async function writeThumbnails(pool, media, {
+    thumbnailsDir,
+    sizes = THUMBNAIL_SIZES,
+    tinyPreview = false,
+    animated = false,
+    force = false,
+    source = () => readThumbnailSource(media)
+}) {
+    const missing = async fileName => force || !await fileExists(path.join(thumbnailsDir, fileName));
+    let input = null;
+    const readSource = async () => input || (input = await source());
+    let written = false;
+    
+    try {
+        if (tinyPreview && await missing(tinyPreviewFileName(media))) {
+            await pool.run(tinyPreviewJob(media, await readSource(), thumbnailsDir));
+            written = true;
+        }
+        for (const size of sizes) {
+            const missingFormats = await Promise.all(THUMBNAIL_FORMATS.map(format => missing(thumbnailFileName(media, size, format))));
+            if (!missingFormats.some(Boolean)) continue;
+            
+            await pool.run(thumbnailTierJob(media, await readSource(), size, thumbnailsDir));
+            written = true;
+        }
+        if (animated && await missing(animatedPreviewFileName(media))) {
+            await pool.run(animatedPreviewJob(media, thumbnailsDir));
+            written = true;
+        }
+    } catch (error) {
+        if (media.type === 'image' && isHevcImage(media.path)) {
+            throw new Error(`${path.extname(media.path)} image could not be decoded, the installed libvips may not support it: ${error.message}`);
+        }
+        throw error;
+    }
+    return written;
+}
+
+// When to retry the thumbnails of a media file after their attempts-th failure (ms since
+// epoch), or null to give up. Formats libvips can't read, and HEIC/HEIF files that failed,
+// are not retried: only installing support and retrying the job by hand helps.
+function thumbnailRetryTime(media, attempts, now = Date.now()) {
+    if (attempts >= THUMBNAIL_RETRY.maxAttempts || !canDecodeImage(media.path) || isHevcImage(media.path)) return null;
+    
+    const delay = THUMBNAIL_RETRY.retryDelay * 2 ** (attempts - 1);
+    return now + Math.min(delay, THUMBNAIL_RETRY.maxRetryDelay);
+}
+
+// Whether an image file is animated, going by its frame count
+async function isAnimatedImage(filePath) {
+    if (!ANIMATED_IMAGE_EXTENSIONS.includes(path.extname(filePath).toLowerCase())) return false;
+    const { pages } = await sharp(filePath).metadata();
+    return pages > 1;
+}
+
+// Play-icon placeholder (PNG at the largest size tier), used for videos only when ffmpeg is not installed
+function renderVideoPlaceholder() {
+    const size = THUMBNAIL_SIZES[THUMBNAIL_SIZES.length - 1];
+    const icon = Math.round(size / 3);
+    
+    return sharp({
+        create: {
+            width: size,
+            height: Math.round(size * 0.67),
+            channels: 3,
+            background: { r: 52, g: 73, b: 94 }
+        }
+    })
+    .composite([{
+        input: Buffer.from(`<svg width="${icon}" height="${icon}" viewBox="0 0 100 100" xmlns="http://www.w3.org/2000/svg">
+            <circle cx="50" cy="50" r="30" fill="white" opacity="0.8"/>
+            <polygon points="40,35 40,65 65,50" fill="#2c3e50"/>
+        </svg>`),
+        left: icon,
+        top: Math.round(size / 6)
+    }])
+    .png()
+    .toBuffer();
+}
+
+// Whether the installed libvips can read an image file's format
+function canDecodeImage(filePath) {
+    const format = OPTIONAL_IMAGE_FORMATS[path.extname(filePath).toLowerCase()];
+    if (!format) return true;
+    return Boolean(sharp.format[format] && sharp.format[format].input.file);
+}
+
+function isHevcImage(filePath) {
+    return HEVC_IMAGE_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+}
+
+// { key, variant, extension } of a thumbnail file name, or null for anything else
+function parseThumbnailFileName(fileName) {
+    const match = fileName.match(THUMBNAIL_FILE_PATTERN);
+    if (!match) return null;
+    return { key: match[1], variant: match[2], extension: match[3] };
+}
+
+// Entries of the thumbnails directory that do not belong to the current version
+// of any of the given media: thumbnails of deleted or changed files, and files
+// left over from older naming schemes
+function findStaleThumbnails(fileNames, media) {
+    const currentKeys = new Set(media.map(thumbnailKey));
+    return fileNames.filter(fileName => {
+        const parsed = parseThumbnailFileName(fileName);
+        return !parsed || !currentKeys.has(parsed.key);
+    });
+}
+
+module.exports = {
+    THUMBNAIL_OUTPUT,
+    THUMBNAIL_SIZES,
+    THUMBNAIL_FORMATS,
+    thumbnailKey,
+    thumbnailFileName,
+    thumbnailTierJob,
+    tinyPreviewFileName,
+    tinyPreviewJob,
+    animatedPreviewFileName,
+    animatedPreviewJob,
+    readThumbnailSource,
+    writeThumbnails,
+    thumbnailRetryTime,
+    isAnimatedImage,
+    renderVideoPlaceholder,
+    canDecodeImage,
+    isHevcImage,
+    parseThumbnailFileName,
+    findStaleThumbnails
+};
@@ -0,0 +1,228 @@
+// Resized/re-encoded image renditions for /api/transform.
+//
+//   w, h     target size in pixels (at least one is required, each 1-4096)
+//   fit      cover | contain | fill | inside | outside      (default: inside)
+//   format   webp | avif | jpeg | png                       (default: jpeg)
+//   q        quality 1-100, ignored for png                 (default: 80)
+//
+// Results are kept in an on-disk cache that evicts the least recently used
+// files once it grows past its size limit.
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { isRawFile, extractRawPreview } = require('./raw');
+
+const TRANSFORM_LIMITS = {
+    maxDimension: 4096,
+    maxPixels: 4096 * 4096,
+    minQuality: 1,
+    maxQuality: 100
+};
+
+const FIT_OPTIONS = ['cover', 'contain', 'fill', 'inside', 'outside'];
+const FORMAT_OPTIONS = ['webp', 'avif', 'jpeg', 'png'];
+
+const DEFAULT_TRANSFORM = { fit: 'inside', format: 'jpeg', quality: 80 };
+
+const CONTENT_TYPES = {
+    webp: 'image/webp',
+    avif: 'image/avif',
+    jpeg: 'image/jpeg',
+    png: 'image/png'
+};
+
+const DEFAULT_CACHE_SIZE = 512 * 1024 * 1024;
+
+function parseDimension(value, name, errors) {
+    if (value === undefined || value === '') return null;
+    
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1 || number > TRANSFORM_LIMITS.maxDimension) {
+        errors.push(`${name} must be an integer between 1 and ${TRANSFORM_LIMITS.maxDimension}`);
+        return null;
+    }
+    return number;
+}
+
+// Validate w/h/fit/format/q query parameters, filling in defaults
+function parseTransformOptions(query) {
+    const errors = [];
+    const options = { ...DEFAULT_TRANSFORM };
+    
+    options.width = parseDimension(query.w, 'w', errors);
+    options.height = parseDimension(query.h, 'h', errors);
+    if (query.w === undefined && query.h === undefined) {
+        errors.push('w or h is required');
+    }
+    if (options.width && options.height && options.width * options.height > TRANSFORM_LIMITS.maxPixels) {
+        errors.push(`w × h must not exceed ${TRANSFORM_LIMITS.maxPixels} pixels`);
+    }
+    
+    const choices = { fit: FIT_OPTIONS, format: FORMAT_OPTIONS };
+    for (const [name, allowed] of Object.entries(choices)) {
+        const value = query[name];
+        if (value === undefined || value === '') continue;
+        
+        const normalized = typeof value === 'string' ? value.toLowerCase().replace(/^jpg$/, 'jpeg') : null;
+        if (!allowed.includes(normalized)) {
+            errors.push(`${name} must be one of: ${allowed.join(', ')}`);
+        } else {
+            options[name] = normalized;
+        }
+    }
+    
+    if (query.q !== undefined && query.q !== '') {
+        const quality = Number(query.q);
+        if (!Number.isInteger(quality) || quality < TRANSFORM_LIMITS.minQuality || quality > TRANSFORM_LIMITS.maxQuality) {
+            errors.push(`q must be an integer between ${TRANSFORM_LIMITS.minQuality} and ${TRANSFORM_LIMITS.maxQuality}`);
+        } else {
+            options.quality = quality;
+        }
+    }
+    
+    return { options, errors };
+}
+
+// Render an image with the given options, upright (EXIF orientation) and in sRGB.
+// Images are never enlarged; RAW files are rendered from their embedded preview.
+async function transformImage(sourcePath, options) {
+    const input = isRawFile(sourcePath) ? await extractRawPreview(sourcePath) : sourcePath;
+    const pipeline = sharp(input)
+        .rotate()
+        .resize(options.width, options.height, {
+            fit: options.fit,
+            withoutEnlargement: true
+        })
+        .toColourspace('srgb');
+    
+    switch (options.format) {
+        case 'webp': return pipeline.webp({ quality: options.quality }).toBuffer();
+        case 'avif': return pipeline.avif({ quality: options.quality }).toBuffer();
+        case 'png': return pipeline.png().toBuffer();
+        default: return pipeline.jpeg({ quality: options.quality, mozjpeg: true }).toBuffer();
+    }
+}
+
+class TransformCache {
+    // maxSize is the total size in bytes kept in cacheDir before the least
+    // recently used renditions are deleted
+    constructor(cacheDir, options = {}) {
+        this.cacheDir = cacheDir;
+        this.maxSize = options.maxSize || DEFAULT_CACHE_SIZE;
+        this.entries = new Map(); // file name -> { size, lastUsed }, oldest first
+        this.totalSize = 0;
+        this.pending = new Map();
+        this.loading = null;
+    }
+    
+    // Read the existing cache files once; their modification time records the last use.
+    // Temporary files left by an interrupted write are deleted.
+    async load() {
+        if (!this.loading) {
+            this.loading = (async () => {
+                await fs.mkdir(this.cacheDir, { recursive: true });
+                const files = [];
+                for (const fileName of await fs.readdir(this.cacheDir)) {
+                    if (fileName.endsWith('.tmp')) {
+                        await fs.unlink(path.join(this.cacheDir, fileName)).catch(() => {});
+                        continue;
+                    }
+                    try {
+                        const stats = await fs.stat(path.join(this.cacheDir, fileName));
+                        files.push({ fileName, size: stats.size, lastUsed: stats.mtimeMs });
+                    } catch {
+                        // Removed while loading
+                    }
+                }
+                
+                files.sort((a, b) => a.lastUsed - b.lastUsed);
+                for (const { fileName, size, lastUsed } of files) {
+                    this.entries.set(fileName, { size, lastUsed });
+                    this.totalSize += size;
+                }
+                await this.evict();
+            })();
+        }
+        await this.loading;
+    }
+    
+    // Cache file name for a source version (size + mtime) and options
+    key(relativePath, source, options) {
+        const hash = crypto.createHash('sha1')
+            .update(JSON.stringify([relativePath, source.size, source.modified, options.width, options.height, options.fit, options.quality]))
+            .digest('hex');
+        return `${hash}.${options.format}`;
+    }
+    
+    // Path of the rendition, generating it on a miss. Concurrent requests for the
+    // same rendition share one generation. Returns { filePath, contentType, cached }.
+    async get(sourcePath, relativePath, source, options) {
+        await this.load();
+        
+        const fileName = this.key(relativePath, source, options);
+        const filePath = path.join(this.cacheDir, fileName);
+        const contentType = CONTENT_TYPES[options.format];
+        
+        if (this.entries.has(fileName)) {
+            await this.touch(fileName);
+            return { filePath, contentType, cached: true };
+        }
+        
+        if (!this.pending.has(fileName)) {
+            this.pending.set(fileName, (async () => {
+                try {
+                    const buffer = await transformImage(sourcePath, options);
+                    // Renamed into place once complete, so a crash never leaves a truncated rendition
+                    const tempPath = `${filePath}.tmp`;
+                    await fs.writeFile(tempPath, buffer);
+                    await fs.rename(tempPath, filePath);
+                    this.entries.set(fileName, { size: buffer.length, lastUsed: Date.now() });
+                    this.totalSize += buffer.length;
+                    await this.evict(fileName);
+                } finally {
+                    this.pending.delete(fileName);
+                }
+            })());
+        }
+        
+        await this.pending.get(fileName);
+        return { filePath, contentType, cached: false };
+    }
+    
+    // Mark a rendition as recently used, in memory and on disk (for the next start)
+    async touch(fileName) {
+        const entry = this.entries.get(fileName);
+        entry.lastUsed = Date.now();
+        // Re-insert so the map stays ordered from least to most recently used
+        this.entries.delete(fileName);
+        this.entries.set(fileName, entry);
+        
+        const now = new Date();
+        await fs.utimes(path.join(this.cacheDir, fileName), now, now).catch(() => {});
+    }
+    
+    // Delete least recently used renditions until the cache fits its limit.
+    // keep is never evicted (the rendition that is about to be sent).
+    async evict(keep = null) {
+        for (const [fileName, entry] of this.entries) {
+            if (this.totalSize <= this.maxSize) break;
+            if (fileName === keep) continue;
+            
+            this.entries.delete(fileName);
+            this.totalSize -= entry.size;
+            await fs.unlink(path.join(this.cacheDir, fileName)).catch(() => {});
+        }
+    }
+    
+    stats() {
+        return { files: this.entries.size, size: this.totalSize, maxSize: this.maxSize };
+    }
+}
+
+module.exports = {
+    parseTransformOptions,
+    transformImage,
+    TransformCache
+};
@@ -0,0 +1,407 @@
+const { execFile, spawn } = require('child_process');
+const fs = require('fs').promises;
+const path = require('path');
+const util = require('util');
+const sharp = require('sharp');
+
+const execFileAsync = util.promisify(execFile);
+
+// Binaries can be overridden when they are not on the PATH
+const FFMPEG = process.env.FFMPEG_PATH || 'ffmpeg';
+const FFPROBE = process.env.FFPROBE_PATH || 'ffprobe';
+
+const PROBE_TIMEOUT = 15000;
+const FRAME_TIMEOUT = 30000;
+const MAX_FRAME_BUFFER = 32 * 1024 * 1024;
+
+// Frames are extracted at most this wide; thumbnails are resized from them
+const FRAME_WIDTH = 1280;
+
+// Frames with a lower mean brightness (0-255) count as black
+const BLACK_THRESHOLD = 24;
+// Frames with less variation than this count as blank (fades, solid title cards)
+const FLAT_THRESHOLD = 8;
+
+// Positions (fractions of the duration) tried in order when picking a thumbnail frame
+const FRAME_POSITIONS = [0.1, 0.25, 0.5, 0.75];
+// Positions in seconds when the duration is unknown
+const FALLBACK_TIMESTAMPS = [1, 3, 0];
+
+// Containers browsers play natively, provided the codecs inside are supported too
+const BROWSER_CONTAINERS = ['.mp4', '.m4v', '.mov', '.webm', '.ogg'];
+const BROWSER_VIDEO_CODECS = ['h264', 'vp8', 'vp9', 'av1', 'theora'];
+const BROWSER_AUDIO_CODECS = ['aac', 'mp3', 'opus', 'vorbis', 'flac'];
+// Codecs that can be copied into fragmented MP4 without re-encoding
+const MP4_VIDEO_CODECS = ['h264', 'vp9', 'av1'];
+const MP4_AUDIO_CODECS = ['aac', 'mp3', 'opus', 'flac'];
+
+// HLS renditions by the length of the video's short side; only renditions no larger
+// than the source are generated
+const HLS_RENDITIONS = [
+    { name: '1080p', size: 1080, videoBitrate: 5000, audioBitrate: 160 },
+    { name: '720p', size: 720, videoBitrate: 2800, audioBitrate: 128 },
+    { name: '480p', size: 480, videoBitrate: 1400, audioBitrate: 96 }
+];
+const HLS_SEGMENT_SECONDS = 4;
+
+let toolsPromise = null;
+
+async function hasCommand(command) {
+    try {
+        await execFileAsync(command, ['-version'], { timeout: 5000 });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// Check (once per process) whether ffmpeg and ffprobe can be run
+function detectVideoTools() {
+    if (!toolsPromise) {
+        toolsPromise = Promise.all([hasCommand(FFMPEG), hasCommand(FFPROBE)])
+            .then(([ffmpeg, ffprobe]) => ({ ffmpeg, ffprobe }));
+    }
+    return toolsPromise;
+}
+
+function parseFrameRate(rate) {
+    if (!rate || rate === '0/0') return null;
+    const [numerator, denominator] = rate.split('/').map(Number);
+    const fps = denominator ? numerator / denominator : numerator;
+    return isFinite(fps) && fps > 0 ? Math.round(fps * 100) / 100 : null;
+}
+
+// Rotation of the video stream in degrees, from the display matrix or the legacy rotate tag
+function streamRotation(stream) {
+    const sideData = (stream.side_data_list || []).find(data => data.rotation !== undefined);
+    const rotation = sideData ? Number(sideData.rotation) : Number(stream.tags && stream.tags.rotate);
+    return isFinite(rotation) ? ((Math.round(rotation) % 360) + 360) % 360 : 0;
+}
+
+// Read duration, display resolution and codecs with ffprobe.
+// Returns null when the file cannot be probed.
+async function probeVideo(videoPath) {
+    let output;
+    try {
+        const { stdout } = await execFileAsync(FFPROBE, [
+            '-v', 'error',
+            '-print_format', 'json',
+            '-show_format',
+            '-show_streams',
+            videoPath
+        ], { timeout: PROBE_TIMEOUT, maxBuffer: 4 * 1024 * 1024 });
+        output = JSON.parse(stdout);
+    } catch (error) {
+        console.warn(`Failed to probe video ${videoPath}:`, error.message);
+        return null;
+    }
+    
+    const streams = output.streams || [];
+    const videoStream = streams.find(stream => stream.codec_type === 'video' && !(stream.disposition && stream.disposition.attached_pic));
+    const audioStream = streams.find(stream => stream.codec_type === 'audio');
+    const format = output.format || {};
+    const info = {};
+    
+    const duration = parseFloat(format.duration || (videoStream && videoStream.duration));
+    if (isFinite(duration) && duration > 0) info.duration = Math.round(duration * 1000) / 1000;
+    
+    if (videoStream) {
+        info.codec = videoStream.codec_name;
+        if (videoStream.width && videoStream.height) {
+            // Phone videos are often stored landscape with a 90° rotation
+            const rotated = streamRotation(videoStream) % 180 === 90;
+            info.width = rotated ? videoStream.height : videoStream.width;
+            info.height = rotated ? videoStream.width : videoStream.height;
+        }
+        const frameRate = parseFrameRate(videoStream.avg_frame_rate || videoStream.r_frame_rate);
+        if (frameRate) info.frameRate = frameRate;
+        if (videoStream.pix_fmt) info.pixelFormat = videoStream.pix_fmt;
+    }
+    if (audioStream) info.audioCodec = audioStream.codec_name;
+    if (format.format_name) info.container = format.format_name;
+    const bitRate = parseInt(format.bit_rate);
+    if (bitRate > 0) info.bitRate = bitRate;
+    
+    return info;
+}
+
+// Grab a single JPEG frame at the given time (seconds), at most width pixels wide
+async function grabFrame(videoPath, time, width = FRAME_WIDTH) {
+    try {
+        const { stdout } = await execFileAsync(FFMPEG, [
+            '-v', 'error',
+            '-ss', time.toFixed(3),
+            '-i', videoPath,
+            '-frames:v', '1',
+            '-vf', `scale=w='min(${width},iw)':h=-2`,
+            '-f', 'image2pipe',
+            '-vcodec', 'mjpeg',
+            '-q:v', '3',
+            'pipe:1'
+        ], { encoding: 'buffer', timeout: FRAME_TIMEOUT, maxBuffer: MAX_FRAME_BUFFER });
+        return stdout.length > 0 ? stdout : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Mean brightness and variation of a frame, averaged over its color channels
+async function frameScore(frame) {
+    const { channels } = await sharp(frame).stats();
+    const colors = channels.slice(0, 3);
+    return {
+        mean: colors.reduce((sum, channel) => sum + channel.mean, 0) / colors.length,
+        stdev: colors.reduce((sum, channel) => sum + channel.stdev, 0) / colors.length
+    };
+}
+
+// Pick a representative frame: the first candidate position that is neither
+// black nor blank, otherwise the most detailed frame found.
+// Returns a JPEG buffer, or null when no frame could be decoded.
+async function extractVideoFrame(videoPath, duration) {
+    const timestamps = duration > 0
+        ? FRAME_POSITIONS.map(position => duration * position)
+        : FALLBACK_TIMESTAMPS;
+    
+    let best = null;
+    for (const time of timestamps) {
+        const frame = await grabFrame(videoPath, time);
+        if (!frame) continue;
+        
+        let score;
+        try {
+            score = await frameScore(frame);
+        } catch (error) {
+            continue;
+        }
+        
+        if (score.mean >= BLACK_THRESHOLD && score.stdev >= FLAT_THRESHOLD) {
+            return frame;
+        }
+        if (!best || score.mean + score.stdev > best.score.mean + best.score.stdev) {
+            best = { frame, score };
+        }
+    }
+    
+    if (!best) {
+        console.warn(`Failed to extract a frame from ${videoPath}`);
+        return null;
+    }
+    return best.frame;
+}
+
+// Sprite sheet of evenly spaced frames, used for hover-scrub and seek-bar previews.
+// Frames are laid out left to right, top to bottom, all frameWidth x frameHeight.
+// Returns { image (JPEG buffer), columns, rows, frameWidth, frameHeight, interval },
+// or null when no frame could be decoded.
+async function createSpriteSheet(videoPath, duration, { frames = 20, columns = 5, width = 160, quality = 70 } = {}) {
+    const interval = duration / frames;
+    const grabbed = [];
+    for (let i = 0; i < frames; i++) {
+        grabbed.push(await grabFrame(videoPath, (i + 0.5) * interval, width));
+    }
+    
+    const first = grabbed.find(Boolean);
+    if (!first) {
+        console.warn(`Failed to extract sprite frames from ${videoPath}`);
+        return null;
+    }
+    
+    const metadata = await sharp(first).metadata();
+    const frameWidth = metadata.width;
+    const frameHeight = metadata.height;
+    const rows = Math.ceil(frames / columns);
+    
+    // Frames that could not be decoded repeat the previous one so the timeline has no holes
+    const tiles = [];
+    let previous = first;
+    for (let i = 0; i < frames; i++) {
+        previous = grabbed[i] || previous;
+        tiles.push({
+            input: await sharp(previous).resize(frameWidth, frameHeight, { fit: 'cover' }).toBuffer(),
+            left: (i % columns) * frameWidth,
+            top: Math.floor(i / columns) * frameHeight
+        });
+    }
+    
+    const image = await sharp({
+        create: {
+            width: columns * frameWidth,
+            height: rows * frameHeight,
+            channels: 3,
+            background: { r: 0, g: 0, b: 0 }
+        }
+    })
+    .composite(tiles)
+    .jpeg({ quality })
+    .toBuffer();
+    
+    return { image, columns, rows, frameWidth, frameHeight, interval, frames };
+}
+
+function formatVttTime(seconds) {
+    const milliseconds = Math.round(seconds * 1000);
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    return `${pad(Math.floor(milliseconds / 3600000))}:${pad(Math.floor(milliseconds / 60000) % 60)}:` +
+        `${pad(Math.floor(milliseconds / 1000) % 60)}.${pad(milliseconds % 1000, 3)}`;
+}
+
+// WebVTT thumbnails track for a sprite sheet: one cue per frame pointing at its
+// region of the sheet with a #xywh= media fragment
+function spriteVtt(sheet, imageUrl) {
+    const cues = ['WEBVTT', ''];
+    for (let i = 0; i < sheet.frames; i++) {
+        const x = (i % sheet.columns) * sheet.frameWidth;
+        const y = Math.floor(i / sheet.columns) * sheet.frameHeight;
+        cues.push(`${formatVttTime(i * sheet.interval)} --> ${formatVttTime((i + 1) * sheet.interval)}`);
+        cues.push(`${imageUrl}#xywh=${x},${y},${sheet.frameWidth},${sheet.frameHeight}`);
+        cues.push('');
+    }
+    return cues.join('\n');
+}
+
+// How a video can be played in the browser:
+//   direct     served as is, with byte ranges
+//   remux      video stream copied into fragmented MP4 (audio re-encoded to AAC if needed)
+//   transcode  re-encoded to H.264/AAC fragmented MP4
+// info is the probeVideo() result; without it the decision is made from the extension.
+function playbackMode(videoPath, info) {
+    const extension = path.extname(videoPath).toLowerCase();
+    
+    if (!info || !info.codec) {
+        return BROWSER_CONTAINERS.includes(extension) ? 'direct' : 'transcode';
+    }
+    
+    const audioPlayable = !info.audioCodec || BROWSER_AUDIO_CODECS.includes(info.audioCodec);
+    if (BROWSER_CONTAINERS.includes(extension) && BROWSER_VIDEO_CODECS.includes(info.codec) && audioPlayable) {
+        return 'direct';
+    }
+    return MP4_VIDEO_CODECS.includes(info.codec) ? 'remux' : 'transcode';
+}
+
+// Start ffmpeg writing a video as fragmented MP4 to its stdout, beginning at start seconds.
+// Fragmented MP4 needs no seekable output, so it can be piped straight into an HTTP response.
+function streamFragmentedMp4(videoPath, { mode, info, start = 0 }) {
+    const copyAudio = !info || !info.audioCodec || MP4_AUDIO_CODECS.includes(info.audioCodec);
+    const videoArgs = mode === 'remux'
+        ? ['-c:v', 'copy']
+        : ['-c:v', 'libx264', '-preset', 'veryfast', '-crf', '23', '-pix_fmt', 'yuv420p'];
+    const audioArgs = mode === 'remux' && copyAudio
+        ? ['-c:a', 'copy']
+        : ['-c:a', 'aac', '-b:a', '160k', '-ac', '2'];
+    
+    return spawn(FFMPEG, [
+        '-v', 'error',
+        ...(start > 0 ? ['-ss', start.toFixed(3)] : []),
+        '-i', videoPath,
+        '-map', '0:v:0',
+        '-map', '0:a:0?',
+        ...videoArgs,
+        ...audioArgs,
+        '-movflags', 'frag_keyframe+empty_moov+default_base_moof',
+        '-f', 'mp4',
+        'pipe:1'
+    ], { stdio: ['ignore', 'pipe', 'pipe'] });
+}
+
+function hlsRenditions(info) {
+    const shortSide = Math.min(info.width || Infinity, info.height || Infinity);
+    const renditions = HLS_RENDITIONS.filter(rendition => rendition.size <= shortSide);
+    if (renditions.length > 0) return renditions;
+    
+    // Smaller than every rendition: a single one at the source size
+    const smallest = HLS_RENDITIONS[HLS_RENDITIONS.length - 1];
+    return [{ ...smallest, name: `${shortSide}p`, size: shortSide - (shortSide % 2) }];
+}
+
+// Transcode a video into multi-bitrate HLS: outputDir/master.m3u8 plus one
+// <rendition>/index.m3u8 playlist with its segments per rendition.
+// onProgress is called with the percentage done; resolves with the rendition names.
+async function createHlsStream(videoPath, outputDir, info, onProgress = () => {}) {
+    const renditions = hlsRenditions(info);
+    const landscape = !(info.width && info.height) || info.width >= info.height;
+    const hasAudio = !!info.audioCodec;
+    
+    for (const rendition of renditions) {
+        await fs.mkdir(path.join(outputDir, rendition.name), { recursive: true });
+    }
+    
+    // One decode, split and scaled once per rendition
+    const filters = [`[0:v]split=${renditions.length}${renditions.map((_, i) => `[v${i}]`).join('')}`];
+    renditions.forEach((rendition, i) => {
+        const scale = landscape ? `-2:${rendition.size}` : `${rendition.size}:-2`;
+        filters.push(`[v${i}]scale=${scale}[v${i}out]`);
+    });
+    
+    const args = ['-v', 'error', '-nostats', '-progress', 'pipe:1', '-i', videoPath, '-filter_complex', filters.join(';')];
+    renditions.forEach((rendition, i) => {
+        args.push(
+            '-map', `[v${i}out]`,
+            `-c:v:${i}`, 'libx264',
+            `-b:v:${i}`, `${rendition.videoBitrate}k`,
+            `-maxrate:v:${i}`, `${Math.round(rendition.videoBitrate * 1.1)}k`,
+            `-bufsize:v:${i}`, `${rendition.videoBitrate * 2}k`
+        );
+        if (hasAudio) {
+            args.push('-map', '0:a:0', `-c:a:${i}`, 'aac', `-b:a:${i}`, `${rendition.audioBitrate}k`);
+        }
+    });
+    args.push(
+        '-preset', 'veryfast',
+        '-pix_fmt', 'yuv420p',
+        ...(hasAudio ? ['-ac', '2'] : []),
+        // Keyframes on segment boundaries so every rendition switches cleanly
+        '-force_key_frames', `expr:gte(t,n_forced*${HLS_SEGMENT_SECONDS})`,
+        '-f', 'hls',
+        '-hls_time', String(HLS_SEGMENT_SECONDS),
+        '-hls_playlist_type', 'vod',
+        '-hls_flags', 'independent_segments',
+        '-hls_segment_filename', path.join(outputDir, '%v', 'segment_%05d.ts'),
+        '-master_pl_name', 'master.m3u8',
+        '-var_stream_map', renditions.map((rendition, i) =>
+            hasAudio ? `v:${i},a:${i},name:${rendition.name}` : `v:${i},name:${rendition.name}`
+        ).join(' '),
+        path.join(outputDir, '%v', 'index.m3u8')
+    );
+    
+    await new Promise((resolve, reject) => {
+        const ffmpeg = spawn(FFMPEG, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+        let errorOutput = '';
+        let lastProgress = -1;
+        
+        ffmpeg.stdout.on('data', (chunk) => {
+            // -progress writes key=value lines; out_time_us is the position reached
+            const match = /out_time_(?:us|ms)=(\d+)\s*$/m.exec(chunk.toString());
+            if (!match || !info.duration) return;
+            const progress = Math.min(99, Math.floor(parseInt(match[1], 10) / 1e6 / info.duration * 100));
+            if (progress > lastProgress) {
+                lastProgress = progress;
+                onProgress(progress);
+            }
+        });
+        ffmpeg.stderr.on('data', (chunk) => {
+            errorOutput = (errorOutput + chunk).slice(-2000);
+        });
+        ffmpeg.on('error', reject);
+        ffmpeg.on('close', (code) => {
+            if (code === 0) {
+                resolve();
+            } else {
+                reject(new Error(errorOutput.trim() || `ffmpeg exited with code ${code}`));
+            }
+        });
+    });
+    
+    return renditions.map(rendition => rendition.name);
+}
+
+module.exports = {
+    detectVideoTools,
+    probeVideo,
+    extractVideoFrame,
+    createSpriteSheet,
+    spriteVtt,
+    playbackMode,
+    streamFragmentedMp4,
+    createHlsStream
+};